@@ -1,3 +1,5 @@
+import { sampleColorRamp, getLegendTicks } from "./color-ramp.js";
+
 /**
  * Gets the current values from the sliders and updates the displayed values.
  * @returns {Object} An object containing numDots, numPeople, and density
@@ -56,11 +58,12 @@ function createSliderEventListeners(onChange) {
  */
 function getMouseWorldCoordinates(event, canvas, projectionMatrix) {
     const rect = canvas.getBoundingClientRect();
-    const pixelX = event.clientX - rect.left;
-    const pixelY = event.clientY - rect.top;
+    // in CSS pixels inside the border, the drawing buffer has more pixels on HiDPI displays
+    const pixelX = event.clientX - rect.left - canvas.clientLeft;
+    const pixelY = event.clientY - rect.top - canvas.clientTop;
 
-    const clipX = (pixelX / canvas.width) * 2 - 1;
-    const clipY = (pixelY / canvas.height) * -2 + 1;
+    const clipX = (pixelX / canvas.clientWidth) * 2 - 1;
+    const clipY = (pixelY / canvas.clientHeight) * -2 + 1;
 
     const clipCoords = vec4.fromValues(clipX, clipY, 0, 1);
     const invProjectionMatrix = mat4.create();
@@ -72,5 +75,187 @@ function getMouseWorldCoordinates(event, canvas, projectionMatrix) {
     return { x: worldCoords[0], y: worldCoords[1] };
 }
 
+/**
+ * Lets the browser download a text document as a file.
+ * @param {String} text The content of the file
+ * @param {String} fileName The suggested file name
+ * @param {String} type The MIME type of the file
+ */
+function downloadTextFile(text, fileName, type) {
+    const blob = new Blob([text], { type });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    // revoking right away can cancel the download in some browsers, so it waits for the next task
+    const url = link.href;
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Reads an image file into a density map for the image distribution. The image is scaled
+ * down to at most maxSize pixels on its longer side, and the brightness of every pixel,
+ * weighted by its opacity, is its density.
+ * @param {File} file The image file
+ * @param {Number} [maxSize=256] The largest width or height of the density map
+ * @returns {Promise<{width: Number, height: Number, values: Float32Array}>} The density of every pixel from 0 to 1,
+ * row by row from the top
+ * @throws {Error} If the file is not an image the browser can decode
+ */
+async function loadDensityMap(file, maxSize = 256) {
+    const bitmap = await createImageBitmap(file);
+    const factor = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * factor));
+    const height = Math.max(1, Math.round(bitmap.height * factor));
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext("2d");
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const pixels = context.getImageData(0, 0, width, height).data;
+    const values = new Float32Array(width * height);
+    for (let i = 0; i < values.length; i++) {
+        const brightness = (0.2126 * pixels[i * 4] + 0.7152 * pixels[i * 4 + 1] + 0.0722 * pixels[i * 4 + 2]) / 255;
+        values[i] = brightness * pixels[i * 4 + 3] / 255;
+    }
+    return { width, height, values };
+}
+
+/**
+ * Shows the hover tooltip next to the cursor.
+ * @param {String} text The text of the tooltip, one fact per line
+ * @param {Number} clientX The x-coordinate of the cursor in the viewport
+ * @param {Number} clientY The y-coordinate of the cursor in the viewport
+ */
+function showTooltip(text, clientX, clientY) {
+    const tooltip = document.getElementById("hover-tooltip");
+    tooltip.innerText = text;
+    tooltip.style.left = `${clientX + 12}px`;
+    tooltip.style.top = `${clientY + 12}px`;
+    tooltip.hidden = false;
+}
+
+/**
+ * Hides the hover tooltip.
+ */
+function hideTooltip() {
+    document.getElementById("hover-tooltip").hidden = true;
+}
+
+/**
+ * Draws the legend of the density heatmap: the color ramp and its numeric ticks.
+ * @param {{ramp: String, threshold: Number, max: Number, wholeNumbers: boolean}} scale The heatmap scale from color-ramp.js
+ * @param {String} unit The unit of the values, shown under the ticks
+ */
+function drawHeatmapLegend(scale, unit) {
+    const rampCanvas = document.getElementById("heatmap-legend-ramp");
+    const context = rampCanvas.getContext("2d");
+    for (let x = 0; x < rampCanvas.width; x++) {
+        const [r, g, b] = sampleColorRamp(scale.ramp, x / (rampCanvas.width - 1)).map(channel => Math.round(channel * 255));
+        context.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        context.fillRect(x, 0, 1, rampCanvas.height);
+    }
+
+    const ticks = document.getElementById("heatmap-legend-ticks");
+    ticks.replaceChildren(...getLegendTicks(scale).map(({ value, position }) => {
+        const tick = document.createElement("span");
+        const label = scale.wholeNumbers ? value : Number(value.toFixed(2));
+        tick.innerText = value === scale.threshold ? `${label} (threshold)` : label;
+        tick.style.left = `${position * 100}%`;
+        return tick;
+    }));
+    document.getElementById("heatmap-legend-unit").innerText = unit;
+}
+
+/**
+ * Fills the statistics panel: the triangles per density category, the spread of people per
+ * triangle with its histogram, and the mesh quality.
+ * @param {Object} stats The density figures from getDensityStatistics
+ * @param {Object} quality The mesh quality from getMeshQuality
+ * @param {Number} sliverAngle The angle in degrees below which a triangle is a sliver
+ */
+function drawStatsPanel(stats, quality, sliverAngle) {
+    const { categories, summary, histogram } = stats;
+    document.getElementById("stats-categories").innerText =
+        `Triangles: ${categories.red} red, ${categories.orange} green, ${categories.blue} blue`;
+    document.getElementById("stats-summary").innerText =
+        `People per triangle: min ${summary.min} / max ${summary.max} / mean ${summary.mean.toFixed(2)} / variance ${summary.variance.toFixed(2)}`;
+
+    // one bar per bin, scaled to the fullest bin
+    const histogramCanvas = document.getElementById("stats-histogram");
+    const context = histogramCanvas.getContext("2d");
+    const { width, height } = histogramCanvas;
+    const labelHeight = 14;
+    const barWidth = width / Math.max(1, histogram.length);
+    const fullest = Math.max(1, ...histogram.map(bin => bin.triangles));
+    const labelEvery = Math.ceil(30 / barWidth); // narrow bars share their labels, so they do not overlap
+    context.clearRect(0, 0, width, height);
+    context.font = "10px sans-serif";
+    context.textAlign = "center";
+    histogram.forEach((bin, i) => {
+        const barHeight = (height - 2 * labelHeight) * bin.triangles / fullest;
+        context.fillStyle = "black";
+        context.fillRect(i * barWidth + 1, height - labelHeight - barHeight, barWidth - 2, barHeight);
+        if (i % labelEvery === 0) {
+            context.fillText(bin.from === bin.to ? bin.from : `${bin.from}-${bin.to}`, (i + 0.5) * barWidth, height - 2);
+        }
+        if (bin.triangles > 0 && labelEvery === 1) {
+            context.fillText(bin.triangles, (i + 0.5) * barWidth, height - labelHeight - barHeight - 2);
+        }
+    });
+
+    const aspectRatios = quality.aspectRatios
+        .map(bin => `${bin.to === Infinity ? "more" : `≤ ${bin.to}`}: ${bin.triangles}`)
+        .join(", ");
+    document.getElementById("stats-quality").innerText =
+        `Smallest angle: ${quality.minAngle.toFixed(1)}°, slivers (below ${sliverAngle}°): ${quality.slivers}\n` +
+        `Aspect ratios: ${aspectRatios}`;
+}
+
+/**
+ * Draws one scrolling line chart per recorded metric, stacked on a canvas. Each chart shows the
+ * latest samples, scaled from 0 to the largest value among them.
+ * @param {HTMLCanvasElement} chartCanvas The canvas to draw on
+ * @param {Array<Object>} samples The samples of the recording, oldest first
+ * @param {Array<{key: String, label: String}>} metrics The metrics to draw, one chart each
+ * @param {Number} visibleSamples How many of the latest samples are shown
+ */
+function drawTimeSeriesCharts(chartCanvas, samples, metrics, visibleSamples) {
+    const context = chartCanvas.getContext("2d");
+    const { width, height } = chartCanvas;
+    const chartHeight = height / metrics.length;
+    const labelHeight = 12;
+    const visible = samples.slice(-visibleSamples);
+    context.clearRect(0, 0, width, height);
+    context.font = "10px sans-serif";
+    context.textAlign = "left";
+    metrics.forEach(({ key, label }, i) => {
+        const top = i * chartHeight;
+        const values = visible.map(sample => sample[key]);
+        const max = values.reduce((largest, value) => Math.max(largest, value), 0);
+        const latest = values.length > 0 ? values[values.length - 1] : 0;
+        context.fillStyle = "black";
+        context.fillText(`${label}: ${Number(latest.toFixed(2))} (max ${Number(max.toFixed(2))})`, 2, top + labelHeight - 2);
+        context.strokeStyle = "gray";
+        context.strokeRect(0.5, top + labelHeight + 0.5, width - 1, chartHeight - labelHeight - 2);
+
+        // the newest sample is at the right edge, so the chart scrolls to the left
+        const plotHeight = chartHeight - labelHeight - 4;
+        context.strokeStyle = "black";
+        context.beginPath();
+        values.forEach((value, k) => {
+            const x = width - 1 - (values.length - 1 - k) * (width - 2) / Math.max(1, visibleSamples - 1);
+            const y = top + labelHeight + 1 + plotHeight * (1 - (max > 0 ? value / max : 0));
+            if (k === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        });
+        context.stroke();
+    });
+}
 
-export { createSliderEventListeners, setupSliders, getValuesFromSliders, getMouseWorldCoordinates };
\ No newline at end of file
+export { createSliderEventListeners, setupSliders, getValuesFromSliders, getMouseWorldCoordinates, downloadTextFile, loadDensityMap, showTooltip, hideTooltip, drawHeatmapLegend, drawStatsPanel, drawTimeSeriesCharts };
\ No newline at end of file
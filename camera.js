@@ -0,0 +1,86 @@
+/**
+ * The camera looking at the world. It is the world point at the centre of the canvas and the
+ * number of world units from there to the top edge of the canvas, so a smaller half height
+ * zooms in. The projection matrix is built from it, so the drawing and the picking through
+ * getMouseWorldCoordinates always agree.
+ */
+
+const MIN_HALF_HEIGHT = 2; // in world units, the closest zoom
+const MAX_HALF_HEIGHT = 1000; // in world units, the farthest zoom
+
+/**
+ * Creates a camera that shows the whole world.
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @param {Number} aspect The width of the canvas divided by its height
+ * @returns {{x: Number, y: Number, halfHeight: Number}} The camera
+ */
+function createCamera(bounds, aspect) {
+    const camera = { x: 0, y: 0, halfHeight: 1 };
+    fitCamera(camera, bounds, aspect);
+    return camera;
+}
+
+/**
+ * Centres the camera on the world and zooms out just enough to show all of it.
+ * @param {{x: Number, y: Number, halfHeight: Number}} camera The camera
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @param {Number} aspect The width of the canvas divided by its height
+ */
+function fitCamera(camera, bounds, aspect) {
+    const { maxX, minX, maxY, minY } = bounds;
+    camera.x = (maxX + minX) / 2;
+    camera.y = (maxY + minY) / 2;
+    camera.halfHeight = Math.max((maxY - minY) / 2, (maxX - minX) / 2 / aspect);
+}
+
+/**
+ * Writes the projection matrix of the camera.
+ * @param {mat4} out The matrix to write to
+ * @param {{x: Number, y: Number, halfHeight: Number}} camera The camera
+ * @param {Number} aspect The width of the canvas divided by its height
+ * @returns {mat4} The projection matrix
+ */
+function setProjectionMatrix(out, camera, aspect) {
+    const { x, y, halfHeight } = camera;
+    const halfWidth = halfHeight * aspect;
+    return mat4.ortho(out, x - halfWidth, x + halfWidth, y - halfHeight, y + halfHeight, -1, 1);
+}
+
+/**
+ * Zooms the camera while keeping one world point at the same place on the canvas, so the
+ * view zooms towards the cursor.
+ * @param {{x: Number, y: Number, halfHeight: Number}} camera The camera
+ * @param {Number} factor How much closer the camera gets, above 1 zooms in and below 1 zooms out
+ * @param {{x: Number, y: Number}} point The world point that stays under the cursor
+ */
+function zoomCameraAt(camera, factor, point) {
+    const halfHeight = Math.min(MAX_HALF_HEIGHT, Math.max(MIN_HALF_HEIGHT, camera.halfHeight / factor));
+    const applied = camera.halfHeight / halfHeight; // the factor left after the zoom limits
+    camera.x = point.x + (camera.x - point.x) / applied;
+    camera.y = point.y + (camera.y - point.y) / applied;
+    camera.halfHeight = halfHeight;
+}
+
+/**
+ * Moves the camera.
+ * @param {{x: Number, y: Number, halfHeight: Number}} camera The camera
+ * @param {Number} dx The movement along x, in world units
+ * @param {Number} dy The movement along y, in world units
+ */
+function panCamera(camera, dx, dy) {
+    camera.x += dx;
+    camera.y += dy;
+}
+
+/**
+ * Gets the size of a canvas pixel in world units, for distances that should look the same
+ * at every zoom level, such as the pick radius.
+ * @param {{x: Number, y: Number, halfHeight: Number}} camera The camera
+ * @param {Number} canvasHeight The height of the canvas, in pixels
+ * @returns {Number} The world units per pixel
+ */
+function getWorldPerPixel(camera, canvasHeight) {
+    return 2 * camera.halfHeight / canvasHeight;
+}
+
+export { createCamera, fitCamera, setProjectionMatrix, zoomCameraAt, panCamera, getWorldPerPixel };
@@ -0,0 +1,120 @@
+/**
+ * Color ramps for the density heatmap, as evenly spaced color stops from the lowest to the
+ * highest value.
+ */
+const COLOR_RAMPS = {
+    // perceptually uniform, readable in grayscale and by color blind viewers
+    viridis: ["#440154", "#482878", "#3e4989", "#31688e", "#26828e", "#1f9e89", "#35b779", "#6ece58", "#b5de2b", "#fde725"],
+    // blue below the density threshold, white at it and red above it
+    diverging: ["#2166ac", "#67a9cf", "#d1e5f0", "#f7f7f7", "#fddbc7", "#ef8a62", "#b2182b"],
+};
+
+/**
+ * Converts a "#rrggbb" color to an RGBA color with channels in [0, 1].
+ * @param {String} hex The color
+ * @returns {Array<Number>} The color [r, g, b, a]
+ */
+function hexToColor(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255).concat(1.0);
+}
+
+/**
+ * Samples a color ramp.
+ * @param {String} rampName The name of the ramp in COLOR_RAMPS
+ * @param {Number} t The position on the ramp, clamped to [0, 1]
+ * @returns {Array<Number>} The RGBA color at that position
+ */
+function sampleColorRamp(rampName, t) {
+    const stops = COLOR_RAMPS[rampName];
+    const position = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+    const k = Math.min(Math.floor(position), stops.length - 2);
+    const a = hexToColor(stops[k]);
+    const b = hexToColor(stops[k + 1]);
+    return a.map((channel, i) => channel + (b[i] - channel) * (position - k));
+}
+
+/**
+ * Creates the scale that maps the density of a triangle onto a color ramp. The scale always
+ * reaches twice the density threshold, so the colors do not jump when one crowded triangle
+ * empties. The diverging ramp puts the threshold at its centre.
+ * @param {Array<Number>} values The density of each triangle, in people or people per square meter
+ * @param {Number} densityThreshold The target density
+ * @param {String} rampName The name of the ramp in COLOR_RAMPS
+ * @param {boolean} wholeNumbers Whether the values are numbers of people, so the legend ticks are whole numbers
+ * @returns {{ramp: String, threshold: Number, max: Number, wholeNumbers: boolean}} The scale
+ */
+function createHeatmapScale(values, densityThreshold, rampName, wholeNumbers = true) {
+    const max = values.reduce((largest, value) => Math.max(largest, value), 2 * densityThreshold) || 1;
+    return { ramp: rampName, threshold: densityThreshold, max, wholeNumbers };
+}
+
+/**
+ * Gets the position of a value on the ramp of a heatmap scale.
+ * @param {Number} value The density
+ * @param {{ramp: String, threshold: Number, max: Number}} scale The scale from createHeatmapScale
+ * @returns {Number} The position in [0, 1]
+ */
+function getHeatmapPosition(value, scale) {
+    const { ramp, threshold, max } = scale;
+    if (ramp !== 'diverging') {
+        return value / max;
+    }
+    // each half of the ramp covers one side of the threshold
+    if (value <= threshold) {
+        return threshold > 0 ? 0.5 * value / threshold : 0.5;
+    }
+    return 0.5 + 0.5 * (value - threshold) / (max - threshold);
+}
+
+/**
+ * Gets the heatmap color of a value.
+ * @param {Number} value The density
+ * @param {{ramp: String, threshold: Number, max: Number}} scale The scale from createHeatmapScale
+ * @returns {Array<Number>} The RGBA color
+ */
+function getHeatmapColor(value, scale) {
+    return sampleColorRamp(scale.ramp, getHeatmapPosition(value, scale));
+}
+
+/**
+ * Picks round values in a range: multiples of 1, 2 or 5 times a power of ten.
+ * @param {Number} from The start of the range
+ * @param {Number} to The end of the range
+ * @param {Number} count The rough number of values
+ * @param {boolean} wholeNumbers Whether only whole numbers are picked
+ * @returns {Array<Number>} The values
+ */
+function getRoundValues(from, to, count, wholeNumbers) {
+    if (to <= from) {
+        return [];
+    }
+    const rough = (to - from) / count;
+    const power = Math.pow(10, Math.floor(Math.log10(rough)));
+    let step = [1, 2, 5, 10].map(m => m * power).find(s => s >= rough);
+    if (wholeNumbers) {
+        step = Math.max(1, step);
+    }
+    const values = [];
+    for (let k = Math.ceil(from / step); k * step <= to; k++) {
+        values.push(Number((k * step).toPrecision(12))); // without the rounding error of the step
+    }
+    return values;
+}
+
+/**
+ * Picks round tick values for the legend of a heatmap scale, plus the density threshold. The
+ * diverging ramp gets ticks on both sides of the threshold, since its halves cover different ranges.
+ * @param {{ramp: String, threshold: Number, max: Number}} scale The scale from createHeatmapScale
+ * @param {Number} count The rough number of ticks
+ * @returns {Array<{value: Number, position: Number}>} The ticks, with their positions in [0, 1]
+ */
+function getLegendTicks(scale, count = 5) {
+    const { ramp, threshold, max } = scale;
+    const values = ramp === 'diverging'
+        ? getRoundValues(0, threshold, count / 2, scale.wholeNumbers).concat(getRoundValues(threshold, max, count / 2, scale.wholeNumbers))
+        : getRoundValues(0, max, count, scale.wholeNumbers);
+    values.push(0, threshold, max);
+    return [...new Set(values)].sort((a, b) => a - b).map(value => ({ value, position: getHeatmapPosition(value, scale) }));
+}
+
+export { COLOR_RAMPS, sampleColorRamp, createHeatmapScale, getHeatmapPosition, getHeatmapColor, getLegendTicks };
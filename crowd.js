@@ -0,0 +1,258 @@
+import { getObstacleCorners, isPointInPolygon } from "./math.js";
+import { random } from "./random.js";
+
+/**
+ * Default parameters of the social-force model. Distances are in world units and
+ * times in seconds, so speeds are world units per second.
+ */
+const CROWD_PARAMETERS = {
+    minPreferredSpeed: 8,
+    maxPreferredSpeed: 14,
+    maxSpeedFactor: 1.3, // agents may go this much faster than their preferred speed when pushed
+    relaxationTime: 0.5, // how quickly an agent returns to its desired velocity
+    wanderStrength: 1.5, // how much the desired heading drifts per second (radians)
+    radius: 1.5, // personal radius of an agent
+    arrivalRadius: 6, // agents slow down within this distance of their final goal
+
+    agentRepulsion: 40,
+    agentRange: 1.5,
+    obstacleRepulsion: 60,
+    obstacleRange: 1.5,
+    wallRepulsion: 60,
+    wallRange: 1.5,
+    cutoff: 8, // interactions further away than this are ignored
+};
+
+/**
+ * Creates the per-person motion state that goes alongside the people position array.
+ * @param {Number} count The number of people
+ * @returns {{velocities: Array<Number>, preferredSpeeds: Array<Number>}} The agents state
+ */
+function createAgents(count) {
+    const agents = { velocities: [], preferredSpeeds: [] };
+    syncAgents(agents, count);
+    return agents;
+}
+
+/**
+ * Grows or shrinks the agents state to match the number of people. New agents get a
+ * random heading and a random preferred speed.
+ * @param {{velocities: Array<Number>, preferredSpeeds: Array<Number>}} agents The agents state
+ * @param {Number} count The number of people
+ * @param {Object} params The crowd parameters
+ */
+function syncAgents(agents, count, params = CROWD_PARAMETERS) {
+    while (agents.preferredSpeeds.length < count) {
+        const speed = params.minPreferredSpeed + random() * (params.maxPreferredSpeed - params.minPreferredSpeed);
+        const angle = random() * 2 * Math.PI;
+        agents.preferredSpeeds.push(speed);
+        agents.velocities.push(Math.cos(angle) * speed, Math.sin(angle) * speed);
+    }
+    agents.preferredSpeeds.length = count;
+    agents.velocities.length = count * 2;
+}
+
+/**
+ * Finds the closest point to (px, py) on the boundary of a polygon.
+ * @param {Number} px The x-coordinate of the point
+ * @param {Number} py The y-coordinate of the point
+ * @param {Array<Array<Number>>} polygon The polygon vertices [[x1,y1], [x2,y2], ...]
+ * @returns {{x: Number, y: Number, distance: Number}} The closest boundary point and its distance
+ */
+function closestPointOnPolygon(px, py, polygon) {
+    let best = { x: px, y: py, distance: Infinity };
+    for (let i = 0; i < polygon.length; i++) {
+        const [x1, y1] = polygon[i];
+        const [x2, y2] = polygon[(i + 1) % polygon.length];
+        const l2 = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+        let t = l2 === 0 ? 0 : ((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / l2;
+        t = Math.max(0, Math.min(1, t));
+        const cx = x1 + t * (x2 - x1);
+        const cy = y1 + t * (y2 - y1);
+        const distance = Math.hypot(px - cx, py - cy);
+        if (distance < best.distance) {
+            best = { x: cx, y: cy, distance };
+        }
+    }
+    return best;
+}
+
+/**
+ * Buckets the people into a uniform grid so that neighbours can be found without
+ * testing every pair. Uses a counting sort, so the grid is two flat arrays.
+ * @param {Array<Number>} people The array of people positions [x1, y1, x2, y2, ...]
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The boundary limits
+ * @param {Number} cellSize The side length of a grid cell
+ * @returns {{cellStart: Int32Array, items: Int32Array, cols: Number, rows: Number, cellSize: Number, minX: Number, minY: Number}} The grid
+ */
+function buildNeighbourGrid(people, bounds, cellSize) {
+    const cols = Math.max(1, Math.ceil((bounds.maxX - bounds.minX) / cellSize));
+    const rows = Math.max(1, Math.ceil((bounds.maxY - bounds.minY) / cellSize));
+    const count = people.length / 2;
+    const cellOf = new Int32Array(count);
+    const cellStart = new Int32Array(cols * rows + 1);
+
+    for (let i = 0; i < count; i++) {
+        const cx = Math.min(cols - 1, Math.max(0, Math.floor((people[i * 2] - bounds.minX) / cellSize)));
+        const cy = Math.min(rows - 1, Math.max(0, Math.floor((people[i * 2 + 1] - bounds.minY) / cellSize)));
+        cellOf[i] = cy * cols + cx;
+        cellStart[cellOf[i] + 1]++;
+    }
+    for (let c = 0; c < cols * rows; c++) {
+        cellStart[c + 1] += cellStart[c];
+    }
+    const fill = cellStart.slice(0, cols * rows);
+    const items = new Int32Array(count);
+    for (let i = 0; i < count; i++) {
+        items[fill[cellOf[i]]++] = i;
+    }
+
+    return { cellStart, items, cols, rows, cellSize, minX: bounds.minX, minY: bounds.minY };
+}
+
+/**
+ * Advances the crowd by one time step using a social-force model. Every person steers
+ * towards its desired velocity and is pushed away from the other people, the obstacles
+ * and the world bounds. The people and agents arrays are updated in place.
+ * @param {Array<Number>} people The array of people positions [x1, y1, x2, y2, ...]
+ * @param {{velocities: Array<Number>, preferredSpeeds: Array<Number>}} agents The agents state
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The boundary limits
+ * @param {Number} dt The time step in seconds
+ * @param {Float64Array|null} targets Optional navigation targets [x1, y1, final1, x2, y2, final2, ...].
+ * People with a NaN target wander, and people whose target is final slow down to stop on it.
+ * @param {Object} params The crowd parameters
+ */
+function stepCrowd(people, agents, obstacles, bounds, dt, targets = null, params = CROWD_PARAMETERS) {
+    const count = people.length / 2;
+    const { velocities, preferredSpeeds } = agents;
+    const grid = buildNeighbourGrid(people, bounds, params.cutoff);
+
+    // the world-space shape of each obstacle only changes between steps, not within one
+    const obstacleShapes = obstacles.map(obstacle => {
+        const polygon = getObstacleCorners(obstacle);
+        const xs = polygon.map(p => p[0]);
+        const ys = polygon.map(p => p[1]);
+        return {
+            polygon,
+            minX: Math.min(...xs) - params.cutoff,
+            maxX: Math.max(...xs) + params.cutoff,
+            minY: Math.min(...ys) - params.cutoff,
+            maxY: Math.max(...ys) + params.cutoff,
+        };
+    });
+
+    const forces = new Float64Array(count * 2);
+    for (let i = 0; i < count; i++) {
+        const px = people[i * 2];
+        const py = people[i * 2 + 1];
+        const vx = velocities[i * 2];
+        const vy = velocities[i * 2 + 1];
+        let fx = 0;
+        let fy = 0;
+
+        // 1. driving force: head for the navigation target if there is one, otherwise keep
+        //    the current heading (with a slow random drift), at the preferred speed
+        let desiredX;
+        let desiredY;
+        if (targets && !Number.isNaN(targets[i * 3])) {
+            const dx = targets[i * 3] - px;
+            const dy = targets[i * 3 + 1] - py;
+            const distance = Math.hypot(dx, dy);
+            const isFinal = targets[i * 3 + 2] === 1;
+            const desiredSpeed = preferredSpeeds[i] * (isFinal ? Math.min(1, distance / params.arrivalRadius) : 1);
+            desiredX = distance > 1e-6 ? (dx / distance) * desiredSpeed : 0;
+            desiredY = distance > 1e-6 ? (dy / distance) * desiredSpeed : 0;
+        } else {
+            const speed = Math.hypot(vx, vy);
+            let heading = speed > 1e-6 ? Math.atan2(vy, vx) : random() * 2 * Math.PI;
+            heading += (random() - 0.5) * params.wanderStrength * Math.sqrt(dt);
+            desiredX = Math.cos(heading) * preferredSpeeds[i];
+            desiredY = Math.sin(heading) * preferredSpeeds[i];
+        }
+        fx += (desiredX - vx) / params.relaxationTime;
+        fy += (desiredY - vy) / params.relaxationTime;
+
+        // 2. repulsion from the other people in the neighbouring grid cells
+        const cx = Math.min(grid.cols - 1, Math.max(0, Math.floor((px - grid.minX) / grid.cellSize)));
+        const cy = Math.min(grid.rows - 1, Math.max(0, Math.floor((py - grid.minY) / grid.cellSize)));
+        for (let gy = Math.max(0, cy - 1); gy <= Math.min(grid.rows - 1, cy + 1); gy++) {
+            for (let gx = Math.max(0, cx - 1); gx <= Math.min(grid.cols - 1, cx + 1); gx++) {
+                const cell = gy * grid.cols + gx;
+                for (let k = grid.cellStart[cell]; k < grid.cellStart[cell + 1]; k++) {
+                    const j = grid.items[k];
+                    if (j === i) continue;
+                    const dx = px - people[j * 2];
+                    const dy = py - people[j * 2 + 1];
+                    const distance = Math.hypot(dx, dy);
+                    if (distance >= params.cutoff) continue;
+                    if (distance < 1e-6) {
+                        // two people on the same spot, push them apart in a random direction
+                        const angle = random() * 2 * Math.PI;
+                        fx += Math.cos(angle) * params.agentRepulsion;
+                        fy += Math.sin(angle) * params.agentRepulsion;
+                        continue;
+                    }
+                    const magnitude = params.agentRepulsion * Math.exp((2 * params.radius - distance) / params.agentRange);
+                    fx += (dx / distance) * magnitude;
+                    fy += (dy / distance) * magnitude;
+                }
+            }
+        }
+
+        // 3. repulsion from the obstacles, pushing outwards even if the person ended up inside
+        for (const shape of obstacleShapes) {
+            if (px < shape.minX || px > shape.maxX || py < shape.minY || py > shape.maxY) continue;
+            const closest = closestPointOnPolygon(px, py, shape.polygon);
+            if (closest.distance >= params.cutoff || closest.distance < 1e-6) continue;
+            const inside = isPointInPolygon(px, py, shape.polygon);
+            const direction = inside ? -1 : 1;
+            const magnitude = params.obstacleRepulsion * Math.exp((params.radius - direction * closest.distance) / params.obstacleRange);
+            fx += direction * ((px - closest.x) / closest.distance) * magnitude;
+            fy += direction * ((py - closest.y) / closest.distance) * magnitude;
+        }
+
+        // 4. repulsion from the four world bounds
+        const wallForce = (distance) => distance < params.cutoff
+            ? params.wallRepulsion * Math.exp((params.radius - distance) / params.wallRange)
+            : 0;
+        fx += wallForce(px - bounds.minX) - wallForce(bounds.maxX - px);
+        fy += wallForce(py - bounds.minY) - wallForce(bounds.maxY - py);
+
+        forces[i * 2] = fx;
+        forces[i * 2 + 1] = fy;
+    }
+
+    // integrate every person only after all forces are known, so the update order does not matter
+    for (let i = 0; i < count; i++) {
+        let vx = velocities[i * 2] + forces[i * 2] * dt;
+        let vy = velocities[i * 2 + 1] + forces[i * 2 + 1] * dt;
+
+        const maxSpeed = preferredSpeeds[i] * params.maxSpeedFactor;
+        const speed = Math.hypot(vx, vy);
+        if (speed > maxSpeed) {
+            vx *= maxSpeed / speed;
+            vy *= maxSpeed / speed;
+        }
+
+        let x = people[i * 2] + vx * dt;
+        let y = people[i * 2 + 1] + vy * dt;
+
+        // never leave the world, bounce off the bounds instead
+        if (x < bounds.minX || x > bounds.maxX) {
+            x = Math.min(bounds.maxX, Math.max(bounds.minX, x));
+            vx = -vx;
+        }
+        if (y < bounds.minY || y > bounds.maxY) {
+            y = Math.min(bounds.maxY, Math.max(bounds.minY, y));
+            vy = -vy;
+        }
+
+        people[i * 2] = x;
+        people[i * 2 + 1] = y;
+        velocities[i * 2] = vx;
+        velocities[i * 2 + 1] = vy;
+    }
+}
+
+export { CROWD_PARAMETERS, createAgents, syncAgents, stepCrowd };
\ No newline at end of file
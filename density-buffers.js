@@ -0,0 +1,107 @@
+/**
+ * The buffers of the density map: one buffer set for the whole mesh, drawn with a single call.
+ * Each triangle has its own three vertices, so it can have its own color, and the color of
+ * a triangle is only uploaded again when it changes. The positions are only uploaded again
+ * when the mesh changes: the simulation replaces its vertex and index arrays when it
+ * triangulates or edits the mesh, and only ever adds triangles in place.
+ */
+
+const FLOATS_PER_TRIANGLE = 12; // three vertices with an RGBA color each
+
+/**
+ * Creates the empty buffers of the density map.
+ * @param {WebGLRenderingContext} gl The WebGL context
+ * @returns {{position: WebGLBuffer, color: WebGLBuffer, indices: null, vertexCount: Number, colors: Float32Array, vertices: Array<Number>|null, triangleIndices: Array<Number>|null}}
+ * The buffers for drawObject, the number of vertices to draw, the colors as uploaded and the mesh arrays they were built from
+ */
+function createDensityBuffers(gl) {
+    return {
+        position: gl.createBuffer(),
+        color: gl.createBuffer(),
+        indices: null, // drawn with drawArrays, so no index type limits the size of the mesh
+        vertexCount: 0,
+        colors: new Float32Array(0),
+        vertices: null,
+        triangleIndices: null,
+    };
+}
+
+/**
+ * Uploads the positions of a mesh, unless the buffers already hold it. A new mesh starts
+ * out with every triangle transparent, until setDensityColors colors it.
+ * @param {WebGLRenderingContext} gl The WebGL context
+ * @param {Object} buffers The buffers from createDensityBuffers
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data
+ * @returns {boolean} Whether the mesh was uploaded
+ */
+function setDensityMesh(gl, buffers, triangleData) {
+    const { vertices, indices } = triangleData;
+    if (buffers.vertices === vertices && buffers.triangleIndices === indices && buffers.vertexCount === indices.length) {
+        return false;
+    }
+    const positions = new Float32Array(indices.length * 2);
+    indices.forEach((v, i) => {
+        positions[i * 2] = vertices[v * 2];
+        positions[i * 2 + 1] = vertices[v * 2 + 1];
+    });
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.position);
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.DYNAMIC_DRAW);
+
+    buffers.colors = new Float32Array(indices.length / 3 * FLOATS_PER_TRIANGLE);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.color);
+    gl.bufferData(gl.ARRAY_BUFFER, buffers.colors, gl.DYNAMIC_DRAW);
+
+    buffers.vertexCount = indices.length;
+    buffers.vertices = vertices;
+    buffers.triangleIndices = indices;
+    return true;
+}
+
+/**
+ * Colors the triangles of the mesh. Only the runs of triangles whose color changed are uploaded.
+ * @param {WebGLRenderingContext} gl The WebGL context
+ * @param {Object} buffers The buffers from createDensityBuffers, holding the mesh from setDensityMesh
+ * @param {Array<Number>} triangleColors The color of every triangle [r1, g1, b1, a1, r2, ...], in index buffer order
+ * @returns {Number} The number of triangles whose color was uploaded
+ */
+function setDensityColors(gl, buffers, triangleColors) {
+    const colors = buffers.colors;
+    const triangleCount = colors.length / FLOATS_PER_TRIANGLE;
+    let changed = 0;
+    let runStart = -1;
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.color);
+    const upload = (end) => {
+        const from = runStart * FLOATS_PER_TRIANGLE;
+        gl.bufferSubData(gl.ARRAY_BUFFER, from * Float32Array.BYTES_PER_ELEMENT, colors.subarray(from, end * FLOATS_PER_TRIANGLE));
+        runStart = -1;
+    };
+    for (let t = 0; t < triangleCount; t++) {
+        const offset = t * FLOATS_PER_TRIANGLE;
+        let same = true;
+        for (let c = 0; c < 4; c++) {
+            // the stored colors are 32 bit floats, so the new ones are rounded the same way before comparing
+            same = same && colors[offset + c] === Math.fround(triangleColors[t * 4 + c]);
+        }
+        if (same) {
+            if (runStart !== -1) {
+                upload(t);
+            }
+            continue;
+        }
+        for (let vertex = 0; vertex < 3; vertex++) {
+            for (let c = 0; c < 4; c++) {
+                colors[offset + vertex * 4 + c] = triangleColors[t * 4 + c];
+            }
+        }
+        if (runStart === -1) {
+            runStart = t;
+        }
+        changed++;
+    }
+    if (runStart !== -1) {
+        upload(triangleCount);
+    }
+    return changed;
+}
+
+export { createDensityBuffers, setDensityMesh, setDensityColors };
@@ -0,0 +1,329 @@
+import { getObstacleCorners, isPointInAnyObstacle } from "./math.js";
+import { distanceToSegment } from "./mesh-validation.js";
+import { random } from "./random.js";
+
+/**
+ * Population distributions: where newly generated people and dots are placed. Every
+ * generator draws from the shared seeded generator and only returns points inside the
+ * bounds and outside of every obstacle. When points are added to existing ones, the
+ * generators take the existing points into account, and no generated point ever duplicates
+ * another one: two dots in the same place would break the triangulation. A distribution is
+ * a plain object with a type and the settings of that type:
+ *
+ *     { type: 'uniform' }
+ *     { type: 'clusters', clusters: [{ x: -80, y: 40, spread: 20 }] }
+ *     { type: 'poissonDisk', spacing: 4 }
+ *     { type: 'grid', jitter: 0.5 }
+ *     { type: 'image', densityMap: { width, height, values } }
+ */
+
+const DISTRIBUTION_TYPES = ['uniform', 'clusters', 'poissonDisk', 'grid', 'image'];
+const UNIFORM_DISTRIBUTION = { type: 'uniform' };
+const MAX_ATTEMPTS = 100; // random candidates tried per point before it is given up
+const MAX_DART_MISSES = 1000; // Poisson-disk candidates rejected in a row before the bounds count as full
+const MAX_GRID_REFINEMENTS = 10; // how often the grid is made finer to fit the points around the obstacles
+const EDGE_CLEARANCE = 1e-6; // how far a point has to stay from an obstacle edge, so a dot never lies on a constraint edge
+
+/**
+ * Creates the test of whether a point may hold a person or dot. Points on an obstacle edge
+ * count as taken: the point-in-polygon test leaves them outside, but a dot there would
+ * split a constraint edge of the triangulation, which a regular grid easily hits.
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @returns {function(Number, Number): boolean} Whether the point is inside the bounds and clear of every obstacle
+ */
+function createFreeTest(bounds, obstacles) {
+    const edges = obstacles.flatMap(obstacle => {
+        const corners = getObstacleCorners(obstacle);
+        return corners.map((corner, i) => [corner, corners[(i + 1) % corners.length]]);
+    });
+    return (x, y) => x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY &&
+        !isPointInAnyObstacle(obstacles, x, y) && edges.every(([a, b]) => distanceToSegment([x, y], a, b) > EDGE_CLEARANCE);
+}
+
+/**
+ * Collects the positions of points, to find exact duplicates.
+ * @param {Array<Number>} points The points [x1, y1, x2, y2, ...]
+ * @returns {Set<String>} The "x,y" key of every point
+ */
+function getPointKeys(points) {
+    const keys = new Set();
+    for (let i = 0; i < points.length; i += 2) {
+        keys.add(`${points[i]},${points[i + 1]}`);
+    }
+    return keys;
+}
+
+/**
+ * Draws points from a sampler until the free ones add up to the count. A candidate on top of
+ * an existing or earlier point is rejected, and a point with no free candidate after
+ * MAX_ATTEMPTS tries is left out.
+ * @param {Number} count The number of points
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {Array<Number>} existing The points already placed [x1, y1, x2, y2, ...]
+ * @param {function(): Array<Number>} sample Returns a candidate [x, y]
+ * @returns {Array<Number>} The points [x1, y1, x2, y2, ...]
+ */
+function sampleFreePoints(count, bounds, obstacles, existing, sample) {
+    const isFree = createFreeTest(bounds, obstacles);
+    const taken = getPointKeys(existing);
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const [x, y] = sample();
+            const key = `${x},${y}`;
+            if (isFree(x, y) && !taken.has(key)) {
+                taken.add(key);
+                points.push(x, y);
+                break;
+            }
+        }
+    }
+    return points;
+}
+
+/**
+ * Draws a point uniformly from the bounds.
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @returns {Array<Number>} The point [x, y]
+ */
+function sampleUniform(bounds) {
+    return [random() * (bounds.maxX - bounds.minX) + bounds.minX, random() * (bounds.maxY - bounds.minY) + bounds.minY];
+}
+
+/**
+ * Draws a point from Gaussian clusters, each cluster equally likely.
+ * @param {Array<{x: Number, y: Number, spread: Number}>} clusters The centers, with the standard deviation around them
+ * @returns {Array<Number>} The point [x, y]
+ */
+function sampleClusters(clusters) {
+    const cluster = clusters[Math.floor(random() * clusters.length)];
+    // Box-Muller transform, 1 - random() keeps the logarithm finite
+    const radius = Math.sqrt(-2 * Math.log(1 - random())) * cluster.spread;
+    const angle = random() * 2 * Math.PI;
+    return [cluster.x + Math.cos(angle) * radius, cluster.y + Math.sin(angle) * radius];
+}
+
+/**
+ * Places points at random, keeping only those at least a spacing away from every existing
+ * and earlier point (dart throwing), which gives blue noise without clumps or gaps. Once the
+ * bounds are full, fewer points than the count are returned.
+ * @param {Number} count The largest number of points
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {Array<Number>} existing The points already placed [x1, y1, x2, y2, ...]
+ * @param {Number} spacing The smallest distance between two points
+ * @returns {Array<Number>} The points [x1, y1, x2, y2, ...]
+ */
+function generatePoissonDiskPoints(count, bounds, obstacles, existing, spacing) {
+    if (!(spacing > 0)) {
+        return sampleFreePoints(count, bounds, obstacles, existing, () => sampleUniform(bounds));
+    }
+    // a cell is small enough to hold at most one new point, so only the 5 by 5 cells around a candidate are
+    // checked. The existing points need not keep the spacing among themselves, so a cell lists all points in it
+    const cellSize = spacing / Math.SQRT2;
+    const columns = Math.ceil((bounds.maxX - bounds.minX) / cellSize) + 1;
+    const rows = Math.ceil((bounds.maxY - bounds.minY) / cellSize) + 1;
+    const cells = new Map(); // cell index -> the points in it, as [x, y]
+    const addToCell = (x, y) => {
+        const column = Math.min(columns - 1, Math.max(0, Math.floor((x - bounds.minX) / cellSize)));
+        const row = Math.min(rows - 1, Math.max(0, Math.floor((y - bounds.minY) / cellSize)));
+        const cell = row * columns + column;
+        if (!cells.has(cell)) {
+            cells.set(cell, []);
+        }
+        cells.get(cell).push([x, y]);
+    };
+    for (let i = 0; i < existing.length; i += 2) {
+        addToCell(existing[i], existing[i + 1]);
+    }
+
+    const isFree = createFreeTest(bounds, obstacles);
+    const points = [];
+    let misses = 0;
+    while (points.length / 2 < count && misses < MAX_DART_MISSES) {
+        const [x, y] = sampleUniform(bounds);
+        const column = Math.floor((x - bounds.minX) / cellSize);
+        const row = Math.floor((y - bounds.minY) / cellSize);
+        let accepted = isFree(x, y);
+        for (let r = Math.max(0, row - 2); accepted && r <= Math.min(rows - 1, row + 2); r++) {
+            for (let c = Math.max(0, column - 2); accepted && c <= Math.min(columns - 1, column + 2); c++) {
+                accepted = (cells.get(r * columns + c) ?? []).every(([ox, oy]) => (ox - x) ** 2 + (oy - y) ** 2 >= spacing * spacing);
+            }
+        }
+        if (!accepted) {
+            misses++;
+            continue;
+        }
+        addToCell(x, y);
+        points.push(x, y);
+        misses = 0;
+    }
+    return points;
+}
+
+/**
+ * Places one point in each cell of a regular grid, moved at random within its cell. The grid
+ * is laid out for the existing and the new points together, and the cells holding an existing
+ * point are left out. It is made finer until enough cells are free, and the extra cells are
+ * dropped at random, so the free space is covered evenly.
+ * @param {Number} count The number of points
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {Array<Number>} existing The points already placed [x1, y1, x2, y2, ...]
+ * @param {Number} jitter How far a point may move from the center of its cell, from 0 (none) to 1 (anywhere in the cell)
+ * @returns {Array<Number>} The points [x1, y1, x2, y2, ...]
+ */
+function generateGridPoints(count, bounds, obstacles, existing, jitter) {
+    if (count === 0) {
+        return [];
+    }
+    const width = bounds.maxX - bounds.minX;
+    const height = bounds.maxY - bounds.minY;
+    const wanted = count + existing.length / 2; // the points of the whole grid
+    const isFree = createFreeTest(bounds, obstacles);
+    let cellCount = wanted;
+    let points = [];
+    for (let refinement = 0; refinement < MAX_GRID_REFINEMENTS && points.length / 2 < count; refinement++) {
+        const columns = Math.max(1, Math.round(Math.sqrt(cellCount * width / height)));
+        const rows = Math.max(1, Math.ceil(cellCount / columns));
+        const cellWidth = width / columns;
+        const cellHeight = height / rows;
+        const occupied = new Set();
+        for (let i = 0; i < existing.length; i += 2) {
+            const column = Math.min(columns - 1, Math.max(0, Math.floor((existing[i] - bounds.minX) / cellWidth)));
+            const row = Math.min(rows - 1, Math.max(0, Math.floor((existing[i + 1] - bounds.minY) / cellHeight)));
+            occupied.add(row * columns + column);
+        }
+        points = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                if (occupied.has(row * columns + column)) {
+                    continue;
+                }
+                const centerX = bounds.minX + (column + 0.5) * cellWidth;
+                const centerY = bounds.minY + (row + 0.5) * cellHeight;
+                const x = centerX + (random() - 0.5) * jitter * cellWidth;
+                const y = centerY + (random() - 0.5) * jitter * cellHeight;
+                // a point jittered into an obstacle falls back to its cell center
+                if (isFree(x, y)) {
+                    points.push(x, y);
+                } else if (isFree(centerX, centerY)) {
+                    points.push(centerX, centerY);
+                }
+            }
+        }
+        // grow the grid by the share of cells the obstacles and existing points took, and a little more
+        cellCount = Math.ceil(cellCount * wanted / Math.max(1, points.length / 2 + occupied.size) * 1.05);
+    }
+    // a partial Fisher-Yates shuffle picks the cells that are kept
+    const kept = Math.min(count, points.length / 2);
+    for (let i = 0; i < kept; i++) {
+        const j = i + Math.floor(random() * (points.length / 2 - i));
+        [points[i * 2], points[j * 2]] = [points[j * 2], points[i * 2]];
+        [points[i * 2 + 1], points[j * 2 + 1]] = [points[j * 2 + 1], points[i * 2 + 1]];
+    }
+    return points.slice(0, kept * 2);
+}
+
+/**
+ * Draws points from a density map stretched over the bounds: the higher the value of a
+ * pixel, the more points fall into it.
+ * @param {Number} count The number of points
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {Array<Number>} existing The points already placed [x1, y1, x2, y2, ...]
+ * @param {{width: Number, height: Number, values: ArrayLike<Number>}} densityMap The density of every pixel, row by row from the top
+ * @returns {Array<Number>} The points [x1, y1, x2, y2, ...]
+ */
+function generateImagePoints(count, bounds, obstacles, existing, densityMap) {
+    const { width, height, values } = densityMap;
+    const cumulative = new Float64Array(values.length);
+    let total = 0;
+    for (let i = 0; i < values.length; i++) {
+        total += Math.max(0, values[i]);
+        cumulative[i] = total;
+    }
+    if (total === 0) {
+        return sampleFreePoints(count, bounds, obstacles, existing, () => sampleUniform(bounds));
+    }
+    return sampleFreePoints(count, bounds, obstacles, existing, () => {
+        // binary search for the first pixel whose cumulative density passes the random value
+        const target = random() * total;
+        let low = 0;
+        let high = values.length - 1;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (cumulative[middle] > target) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        const column = low % width;
+        const row = Math.floor(low / width);
+        return [
+            bounds.minX + (column + random()) / width * (bounds.maxX - bounds.minX),
+            bounds.maxY - (row + random()) / height * (bounds.maxY - bounds.minY),
+        ];
+    });
+}
+
+/**
+ * Generates points from a distribution, inside the bounds and outside of every obstacle.
+ * The Poisson-disk distribution returns fewer points once its spacing fills the bounds, and
+ * every distribution leaves out points for which no free spot was found.
+ * @param {Number} count The number of points
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {Object} [distribution=UNIFORM_DISTRIBUTION] The distribution, see the top of this file
+ * @param {Array<Number>} [existing=[]] The points the new ones are added to [x1, y1, x2, y2, ...]: the grid
+ * shares its cells with them, the Poisson-disk spacing is kept to them and none of them is duplicated
+ * @returns {Array<Number>} The new points [x1, y1, x2, y2, ...]
+ */
+function generateDistributedPoints(count, bounds, obstacles, distribution = UNIFORM_DISTRIBUTION, existing = []) {
+    const points = generateUnfilteredPoints(count, bounds, obstacles, distribution, existing);
+    // the generators avoid duplicates already, this makes sure no vertex of the mesh is ever doubled
+    const taken = getPointKeys(existing);
+    const unique = [];
+    for (let i = 0; i < points.length; i += 2) {
+        const key = `${points[i]},${points[i + 1]}`;
+        if (!taken.has(key)) {
+            taken.add(key);
+            unique.push(points[i], points[i + 1]);
+        }
+    }
+    return unique;
+}
+
+/**
+ * Runs the generator of a distribution, see generateDistributedPoints.
+ * @param {Number} count The number of points
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {Object} distribution The distribution
+ * @param {Array<Number>} existing The points the new ones are added to
+ * @returns {Array<Number>} The new points [x1, y1, x2, y2, ...]
+ */
+function generateUnfilteredPoints(count, bounds, obstacles, distribution, existing) {
+    switch (distribution.type) {
+        case 'clusters':
+            if (distribution.clusters.length > 0) {
+                return sampleFreePoints(count, bounds, obstacles, existing, () => sampleClusters(distribution.clusters));
+            }
+            break;
+        case 'poissonDisk':
+            return generatePoissonDiskPoints(count, bounds, obstacles, existing, distribution.spacing);
+        case 'grid':
+            return generateGridPoints(count, bounds, obstacles, existing, distribution.jitter);
+        case 'image':
+            if (distribution.densityMap) {
+                return generateImagePoints(count, bounds, obstacles, existing, distribution.densityMap);
+            }
+            break;
+    }
+    return sampleFreePoints(count, bounds, obstacles, existing, () => sampleUniform(bounds));
+}
+
+export { DISTRIBUTION_TYPES, UNIFORM_DISTRIBUTION, generateDistributedPoints };
@@ -29,7 +29,7 @@ function drawObject(gl, programInfo, buffers, transformMatrix, vertexCount, prim
     if (buffers.indices) {
         // If we HAVE an index buffer, use drawElements
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.indices);
-        const type = gl.UNSIGNED_SHORT;
+        const type = gl.UNSIGNED_INT; // 32 bit indices, from OES_element_index_uint
         const offset = 0;
         for (const primitive of primitiveType) {
             gl.drawElements(primitive, vertexCount, type, offset);
@@ -91,4 +91,49 @@ function setColorAttribute(gl, buffers, programInfo) {
     gl.enableVertexAttribArray(programInfo.attribLocations.vertexColor);
 }
 
-export { drawObject };
\ No newline at end of file
+/**
+ * Draws round, anti-aliased glyphs with WebGL2 instancing: one quad is drawn once per
+ * instance, placed and colored by the per-instance attributes. This draws a hundred thousand
+ * people in one call, where gl.POINTS sprites are square and limited in size.
+ * @param {WebGL2RenderingContext} gl The WebGL2 rendering context
+ * @param {{program: WebGLProgram, attribLocations: {corner: Number, instancePosition: Number, instanceColor: Number, instanceRadius: Number}, uniformLocations: {projectionMatrix: WebGLUniformLocation, canvasUnit: WebGLUniformLocation, viewport: WebGLUniformLocation}}} programInfo The glyph shader program
+ * @param {{corner: WebGLBuffer, position: WebGLBuffer, color: WebGLBuffer, radius: WebGLBuffer}} buffers The buffers from initGlyphBuffers
+ * @param {Number} instanceCount The number of glyphs to draw
+ * @param {mat4} projectionMatrix The projection matrix of the camera
+ * @param {Number} canvasUnit The size of a canvas unit in pixels, the unit of the radii
+ */
+function drawGlyphs(gl, programInfo, buffers, instanceCount, projectionMatrix, canvasUnit) {
+    const { attribLocations, uniformLocations } = programInfo;
+    gl.useProgram(programInfo.program);
+    // the corners of the quad are shared by every glyph, the other attributes advance once per glyph
+    setGlyphAttribute(gl, buffers.corner, attribLocations.corner, 2, 0);
+    setGlyphAttribute(gl, buffers.position, attribLocations.instancePosition, 2, 1);
+    setGlyphAttribute(gl, buffers.color, attribLocations.instanceColor, 4, 1);
+    setGlyphAttribute(gl, buffers.radius, attribLocations.instanceRadius, 1, 1);
+
+    gl.uniformMatrix4fv(uniformLocations.projectionMatrix, false, projectionMatrix);
+    gl.uniform1f(uniformLocations.canvasUnit, canvasUnit);
+    gl.uniform2f(uniformLocations.viewport, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, instanceCount);
+
+    // the divisors belong to the attribute slots, which drawObject uses without instancing
+    [attribLocations.instancePosition, attribLocations.instanceColor, attribLocations.instanceRadius]
+        .forEach(location => gl.vertexAttribDivisor(location, 0));
+}
+
+/**
+ * Tell WebGL how to pull out one attribute of the glyphs from its buffer.
+ * @param {WebGL2RenderingContext} gl The WebGL2 rendering context
+ * @param {WebGLBuffer} buffer The buffer holding the attribute
+ * @param {Number} location The attribute location in the glyph program
+ * @param {Number} numComponents The number of floats per vertex or instance
+ * @param {Number} divisor 0 to advance per vertex, 1 to advance per instance
+ */
+function setGlyphAttribute(gl, buffer, location, numComponents, divisor) {
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.vertexAttribPointer(location, numComponents, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(location);
+    gl.vertexAttribDivisor(location, divisor);
+}
+
+export { drawObject, drawGlyphs };
\ No newline at end of file
@@ -0,0 +1,110 @@
+import { getObstacleCorners, findObstacleAt } from "./math.js";
+import { clamp } from "./utility.js";
+
+/**
+ * The on-canvas transform gizmo of the selected obstacle: a box around the obstacle that
+ * turns with it, a handle at each corner for scaling and a handle above the box for rotating.
+ * Dragging the body of the obstacle moves it. Handle sizes are given in pixels and converted
+ * with the world units per pixel of the camera, so the gizmo looks the same at every zoom level.
+ */
+
+const ROTATE_HANDLE_DISTANCE = 30; // in pixels, from the top edge of the box
+
+/**
+ * Gets the geometry of the gizmo of an obstacle, in world coordinates.
+ * @param {Object} obstacle The obstacle
+ * @param {Number} worldPerPixel The size of a canvas pixel in world units
+ * @returns {{corners: Array<Array<Number>>, stem: Array<Number>, rotateHandle: Array<Number>}} The corners of the box
+ * [[x1, y1], ...] counter-clockwise from the bottom-left one, the middle of its top edge and the rotation handle
+ */
+function getGizmoGeometry(obstacle, worldPerPixel) {
+    const xs = obstacle.shape.map(p => p[0]);
+    const ys = obstacle.shape.map(p => p[1]);
+    const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    // the handle keeps its distance on screen, so it is placed in the local shape before scaling
+    const handleY = maxY + ROTATE_HANDLE_DISTANCE * worldPerPixel / obstacle.scale;
+    const box = [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [(minX + maxX) / 2, maxY], [(minX + maxX) / 2, handleY]];
+    const points = getObstacleCorners({ ...obstacle, shape: box });
+    return { corners: points.slice(0, 4), stem: points[4], rotateHandle: points[5] };
+}
+
+/**
+ * Finds the part of the gizmo under a point. The handles come before the body, since the
+ * corner handles lie on the obstacle for most shapes.
+ * @param {Object} obstacle The obstacle
+ * @param {{x: Number, y: Number}} point The world point
+ * @param {Number} worldPerPixel The size of a canvas pixel in world units
+ * @param {Number} radius How close the point has to be to a handle, in world units
+ * @returns {String|null} 'rotate', 'scale', 'move', or null if the point misses the gizmo
+ */
+function pickGizmoHandle(obstacle, point, worldPerPixel, radius) {
+    const { corners, rotateHandle } = getGizmoGeometry(obstacle, worldPerPixel);
+    const isNear = ([x, y]) => (point.x - x) ** 2 + (point.y - y) ** 2 < radius * radius;
+    if (isNear(rotateHandle)) {
+        return 'rotate';
+    }
+    if (corners.some(isNear)) {
+        return 'scale';
+    }
+    if (findObstacleAt([obstacle], point.x, point.y) !== -1) {
+        return 'move';
+    }
+    return null;
+}
+
+/**
+ * Starts dragging a part of the gizmo.
+ * @param {Object} obstacle The obstacle
+ * @param {String} type The part of the gizmo from pickGizmoHandle
+ * @param {{x: Number, y: Number}} point The world point where the drag starts
+ * @returns {{type: String, from: {x: Number, y: Number}, pose: {x: Number, y: Number, scale: Number, rotation: Number}}} The drag
+ */
+function startGizmoDrag(obstacle, type, point) {
+    return {
+        type,
+        from: { x: point.x, y: point.y },
+        pose: { x: obstacle.x, y: obstacle.y, scale: obstacle.scale, rotation: obstacle.rotation },
+    };
+}
+
+/**
+ * Rounds a value to a multiple of a step.
+ * @param {Number} value The value
+ * @param {Number} step The step, 0 leaves the value as it is
+ * @returns {Number} The rounded value
+ */
+function snap(value, step) {
+    return step > 0 ? Math.round(value / step) * step : value;
+}
+
+/**
+ * Moves, rotates or scales the obstacle to follow a drag of the gizmo. The pose is always
+ * computed from the start of the drag, so snapping does not drift. The obstacle then stays
+ * inside the world bounds and scale limits, like with the keyboard.
+ * @param {Object} obstacle The obstacle, changed in place
+ * @param {Object} drag The drag from startGizmoDrag
+ * @param {{x: Number, y: Number}} point The current world point of the drag
+ * @param {Object} options The limits
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} options.bounds The world bounds
+ * @param {Number} options.minScale The smallest scale
+ * @param {Number} options.maxScale The largest scale
+ * @param {Number} [options.angleSnap=0] The rotation step in degrees, 0 rotates freely
+ * @param {Number} [options.gridSnap=0] The grid step of the position in world units, 0 moves freely
+ */
+function dragGizmo(obstacle, drag, point, { bounds, minScale, maxScale, angleSnap = 0, gridSnap = 0 }) {
+    const { pose, from } = drag;
+    Object.assign(obstacle, pose);
+    if (drag.type === 'move') {
+        obstacle.x = snap(pose.x + point.x - from.x, gridSnap);
+        obstacle.y = snap(pose.y + point.y - from.y, gridSnap);
+    } else if (drag.type === 'rotate') {
+        const angle = (p) => Math.atan2(p.y - pose.y, p.x - pose.x) * 180 / Math.PI;
+        obstacle.rotation = snap(pose.rotation + angle(point) - angle(from), angleSnap);
+    } else if (drag.type === 'scale') {
+        const distance = (p) => Math.hypot(p.x - pose.x, p.y - pose.y);
+        obstacle.scale = pose.scale * distance(point) / Math.max(distance(from), 1e-6);
+    }
+    clamp(obstacle, bounds.maxX, bounds.minX, bounds.maxY, bounds.minY, minScale, maxScale);
+}
+
+export { getGizmoGeometry, pickGizmoHandle, startGizmoDrag, dragGizmo };
@@ -0,0 +1,58 @@
+/**
+ * The number of steps kept by default, older steps are dropped.
+ */
+const HISTORY_LIMIT = 50;
+
+/**
+ * Creates an empty undo/redo history. The history stores whole scene snapshots, so undoing
+ * a step restores the scene exactly as it was, including manual mesh edits.
+ * @param {Number} limit The largest number of steps that can be undone
+ * @returns {{undoStack: Array<Object>, redoStack: Array<Object>, limit: Number}} The history
+ */
+function createHistory(limit = HISTORY_LIMIT) {
+    return { undoStack: [], redoStack: [], limit };
+}
+
+/**
+ * Records the scene as it is right before an edit. A new edit makes the undone steps unreachable,
+ * so the redo stack is cleared.
+ * @param {Object} history The history from createHistory
+ * @param {Object} snapshot A copy of the scene that is not changed afterwards
+ */
+function pushHistory(history, snapshot) {
+    history.undoStack.push(snapshot);
+    if (history.undoStack.length > history.limit) {
+        history.undoStack.shift();
+    }
+    history.redoStack.length = 0;
+}
+
+/**
+ * Steps back in the history.
+ * @param {Object} history The history from createHistory
+ * @param {Object} current A copy of the current scene, so that the step can be redone
+ * @returns {Object|null} The scene to restore, or null if there is nothing to undo
+ */
+function undoHistory(history, current) {
+    if (history.undoStack.length === 0) {
+        return null;
+    }
+    history.redoStack.push(current);
+    return history.undoStack.pop();
+}
+
+/**
+ * Steps forward in the history again after an undo.
+ * @param {Object} history The history from createHistory
+ * @param {Object} current A copy of the current scene, so that the step can be undone again
+ * @returns {Object|null} The scene to restore, or null if there is nothing to redo
+ */
+function redoHistory(history, current) {
+    if (history.redoStack.length === 0) {
+        return null;
+    }
+    history.undoStack.push(current);
+    return history.redoStack.pop();
+}
+
+export { HISTORY_LIMIT, createHistory, pushHistory, undoHistory, redoHistory };
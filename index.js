@@ -1,9 +1,26 @@
-import { initBuffers, generateUniformColors } from "./init-buffers.js";
-import { drawObject } from "./draw-scene.js";
-import { calculateMovements, getTransformMatrix } from "./utility.js";
+import { initBuffers, initGlyphBuffers, generateUniformColors, deleteBuffers } from "./init-buffers.js";
+import { drawObject, drawGlyphs } from "./draw-scene.js";
+import { calculateMovements, getTransformMatrix, clamp } from "./utility.js";
 import { initShaderProgram, updateBuffer } from "./gl-utility.js";
-import { updateCollisions, triangulateWithObstacle, getTriangleDensity, convertTriangleIndicesToLineIndices, resetAndRegeneratePoints, findClosestEdge, getObstacleCorners } from "./math.js";
-import { createSliderEventListeners, setupSliders, getValuesFromSliders, getMouseWorldCoordinates } from "./DOM.js";
+import { createDensityBuffers, setDensityMesh, setDensityColors } from "./density-buffers.js";
+import { pickPoint, inspectAt, describeInspection, getInspectionLines } from "./inspect.js";
+import { getObstacleCorners, convertTriangleIndicesToLineIndices, findClosestEdge, createObstacle, createRectangleShape, createStarShape, createObstacleFromPolygon, isSimplePolygon, triangulatePolygon, findObstacleAt, obstaclesOverlap, findCornerOutsideBounds } from "./math.js";
+import { createAgents, syncAgents, stepCrowd } from "./crowd.js";
+import { buildNavMesh, planPaths, getNavigationTargets, getPathLines } from "./navmesh.js";
+import { buildTriangleGrid } from "./spatial-index.js";
+import { setSeed, getSeed, createRandomSeed, random } from "./random.js";
+import { serializeScene, parseScene } from "./scene-file.js";
+import { exportSceneToSVG, exportMeshToOBJ, exportMaterialsToMTL, exportMeshToPLY } from "./mesh-export.js";
+import { createHistory, pushHistory, undoHistory, redoHistory } from "./history.js";
+import { validateMesh } from "./mesh-validation.js";
+import { getVertexIndex, triangulateWithEdits } from "./mesh-constraints.js";
+import { createSimulation, subscribe, setBounds, generatePoints, resizePopulation, updateSimulation, getDensity, balanceMesh, addUserTriangle, deleteMeshEdge, flipMeshEdge, insertDot, moveDot, deleteDot, clearEdits, addObstacle, removeObstacle, addZone, removeZone, stepZones } from "./simulation.js";
+import { createZone, removeIndices, getExitTargets } from "./zones.js";
+import { createCamera, fitCamera, setProjectionMatrix, zoomCameraAt, panCamera, getWorldPerPixel } from "./camera.js";
+import { SLIVER_ANGLE, getDensityStatistics, getMeshQuality } from "./mesh-stats.js";
+import { METRICS, createRecording, recordSample, getLatestSamples, recordingToCSV } from "./time-series.js";
+import { getGizmoGeometry, pickGizmoHandle, startGizmoDrag, dragGizmo } from "./gizmo.js";
+import { createSliderEventListeners, setupSliders, getValuesFromSliders, getMouseWorldCoordinates, downloadTextFile, loadDensityMap, showTooltip, hideTooltip, drawHeatmapLegend, drawStatsPanel, drawTimeSeriesCharts } from "./DOM.js";
 
 // ===========================
 // Global variables
@@ -21,7 +38,9 @@ const maxScale = 1.5;
 let NUMBER_OF_PEOPLE = 200;
 let NUMBER_OF_DOTS = 40;
 const DOT_SIZE = 2.0; // in canvas units
-let DENSITY = 4 // number of people per triangle
+const GLYPH_RADIUS = DOT_SIZE / 2; // in canvas units, the radius of the round people and dots of the WebGL2 renderer
+const FRAME_TIME_SMOOTHING = 0.05; // the weight of the newest frame in the averaged frame time
+const DENSITY = 4 // number of people per triangle at startup
 
 const RED = [1.0, 0.0, 0.0, 0.8];
 const RED_SOLID = [1.0, 0.0, 0.0, 1.0];
@@ -31,19 +50,78 @@ const BLACK = [0.0, 0.0, 0.0, 1.0];
 const BLUE = [0.0, 0.0, 1.0, 1.0];
 const YELLOW = [1.0, 1.0, 0.0, 1.0];
 const PURPLE = [0.5, 0.0, 0.5, 1.0];
+const MAGENTA = [0.8, 0.0, 0.8, 1.0];
+const CYAN = [0.0, 0.6, 0.8, 1.0];
+const GREEN_TRANSLUCENT = [0.0, 0.7, 0.2, 0.35];
+const RED_TRANSLUCENT = [0.9, 0.1, 0.1, 0.35];
 
 const UNDER_POPULATED_COLOR = BLUE;
 const CORRECT_POPULATED_COLOR = GREEN;
 const OVER_POPULATED_COLOR = RED;
+const DENSITY_COLORS = { red: OVER_POPULATED_COLOR, orange: CORRECT_POPULATED_COLOR, blue: UNDER_POPULATED_COLOR };
 const LINE_COLOR = BLACK;
 const OBSTACLE_COLOR = PURPLE;
+const SELECTED_OBSTACLE_COLOR = MAGENTA;
+const ZONE_COLORS = { spawn: GREEN_TRANSLUCENT, exit: RED_TRANSLUCENT };
 const PEOPLE_COLOR = YELLOW;
 const DOT_COLOR = BLACK;
+const GOAL_COLOR = RED_SOLID;
+const PATH_COLOR = CYAN;
+const FLASH_COLOR = ORANGE;
+const BROKEN_EDIT_COLOR = RED_SOLID;
+const GIZMO_COLOR = MAGENTA;
+const INSPECT_COLOR = ORANGE;
 
 let isDragging = false;
 let draggedPointIndex = -1; // the index of the person being dragged
-let editMode = 'none'; // can be 'none', 'addTriangle', or 'deleteEdge'
+let draggedDotIndex = -1; // the index of the dot being dragged in 'moveDot' mode
+let gizmoDrag = null; // the drag of the selected obstacle's or zone's gizmo, from startGizmoDrag
+let gizmoSnapshot = null; // the scene before the gizmo drag, recorded once the obstacle moves
+let keyboardSnapshot = null; // the scene before the transform keys were pressed, recorded once the selection moves
+let gizmoMoved = false; // whether the obstacle moved since the last retriangulation
+let editMode = 'none'; // can be 'none', 'addTriangle', 'deleteEdge', 'flipEdge', 'addDot', 'moveDot', 'deleteDot', 'drawObstacle', 'placeGoal' or 'inspect'
+// the button that switches to each edit mode
+const EDIT_MODE_BUTTONS = {
+  none: "mode-none",
+  addTriangle: "mode-add",
+  deleteEdge: "mode-delete",
+  flipEdge: "mode-flip",
+  addDot: "mode-add-dot",
+  moveDot: "mode-move-dot",
+  deleteDot: "mode-delete-dot",
+  drawObstacle: "mode-draw-obstacle",
+  placeGoal: "mode-goal",
+  inspect: "mode-inspect",
+};
 let triangleSelection = []; // stores the indices of vertices for creating a new triangle
+let selectedObstacleIndex = 0; // the obstacle controlled by the keyboard, -1 if there is none
+let selectedZoneIndex = -1; // the selected spawn or exit zone, -1 if there is none; at most one of the two is selected
+let obstacleDraft = []; // world-space vertices of the polygon being drawn in 'drawObstacle' mode
+let isSimulating = false; // whether people walk on their own in the render loop
+const MAX_SIMULATION_STEP = 0.05; // in seconds, so a slow frame does not make people jump
+let densityView = 'buckets'; // can be 'buckets' (red / orange / blue) or 'heatmap'
+let heatmapRamp = 'viridis'; // the color ramp of the heatmap, a key of COLOR_RAMPS in color-ramp.js
+let showPaths = false; // whether the planned paths are drawn on top of the scene
+let pathsDirty = true; // whether the paths have to be planned again (the mesh, people or goals changed)
+const PATH_REPLAN_INTERVAL = 1.0; // in seconds, people get pushed off their paths while walking
+const WAYPOINT_RADIUS = 3.0; // in world units, how close a person has to get to a waypoint
+const NEW_OBSTACLE_SCALE = 0.3;
+const NEW_ZONE_SCALE = 0.3;
+const FLASH_DURATION = 1.5; // in seconds, how long invalid triangles blink
+const PICK_RADIUS = 15; // in pixels, how close a click has to be to pick a person, vertex or edge
+const ZOOM_SPEED = 0.0015; // zoom factor per pixel of mouse wheel scrolling, on an exponential scale
+const GIZMO_RETRIANGULATION_INTERVAL = 0.1; // in seconds, how often a gizmo drag retriangulates
+const CHART_SAMPLES = 300; // how many of the latest frames the recording charts show
+
+// local shapes offered by the "Add Obstacle" button, all roughly 100 units across
+const OBSTACLE_SHAPES = {
+  rectangle: createRectangleShape(100, 100),
+  wall: createRectangleShape(200, 20),
+  triangle: createStarShape(3, 60, 60),
+  hexagon: createStarShape(6, 50, 50),
+  star: createStarShape(5, 60, 25),
+  lShape: [[-50, -50], [50, -50], [50, -10], [-10, -10], [-10, 50], [-50, 50]],
+};
 
 
 function main() {
@@ -54,19 +132,25 @@ function main() {
   setupSliders(NUMBER_OF_DOTS, NUMBER_OF_PEOPLE, DENSITY);
   /** @type {HTMLCanvasElement} */ // this is for vscode intellisense
   const canvas = document.querySelector("#gl-canvas");
-  // Initialize the GL context
-  /** @type {WebGLRenderingContext} */
-  const gl = canvas.getContext("webgl");
-  canvas.width = canvas.clientWidth; // setting correct dimensions
-  canvas.height = canvas.clientHeight;
-  gl.viewport(0, 0, canvas.width, canvas.height);
-  const projectionMatrix = mat4.create();
-  const aspect = canvas.clientWidth / canvas.clientHeight;
-  // This creates a camera that shows -100 to 100 on the Y axis,
-  // and a correctly scaled range on the X axis.
-  mat4.ortho(projectionMatrix, -100 * aspect, 100 * aspect, -100, 100, -1, 1);
+  // Initialize the GL context, WebGL2 draws people and dots with instancing and WebGL1 as points
+  /** @type {WebGL2RenderingContext|WebGLRenderingContext} */
+  const gl = canvas.getContext("webgl2") ?? canvas.getContext("webgl");
+  const isWebGL2 = typeof WebGL2RenderingContext !== "undefined" && gl instanceof WebGL2RenderingContext;
+  // The world is -100 to 100 on the Y axis, and a correctly scaled range on the X axis of the
+  // canvas at startup. These world coordinates stay when the canvas is resized: a new aspect
+  // only changes how much of the world the camera shows around its centre.
+  let aspect = canvas.clientWidth / canvas.clientHeight;
   maxX = 100 * aspect;
   minX = -100 * aspect;
+  const canvasBounds = { maxX, minX, maxY, minY }; // the largest world a loaded scene may use
+  // the camera starts out showing the whole world, panning and zooming only change the projection
+  const camera = createCamera(canvasBounds, aspect);
+  const projectionMatrix = mat4.create();
+  let pickRadius = 0; // in world units, so that it covers the same pixels at every zoom level
+  const updateProjection = () => {
+    setProjectionMatrix(projectionMatrix, camera, aspect);
+    pickRadius = PICK_RADIUS * getWorldPerPixel(camera, canvas.clientHeight);
+  };
 
   // Only continue if WebGL is available and working
   if (gl === null) {
@@ -75,6 +159,27 @@ function main() {
     );
     return;
   }
+  // every index buffer holds 32 bit indices, so meshes with more than 65536 vertices draw correctly.
+  // WebGL2 always supports them
+  if (!isWebGL2 && gl.getExtension("OES_element_index_uint") === null) {
+    alert(
+      "Unable to use 32 bit element indices. Your browser or machine may not support it.",
+    );
+    return;
+  }
+
+  // the drawing buffer has as many pixels as the canvas covers on the screen, so HiDPI displays stay sharp
+  const resizeCanvas = () => {
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(canvas.clientWidth * pixelRatio);
+    canvas.height = Math.round(canvas.clientHeight * pixelRatio);
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    aspect = canvas.clientWidth / canvas.clientHeight;
+    updateProjection();
+  };
+  resizeCanvas();
+  // also catches layout changes and moving the window to a screen with another pixel ratio
+  new ResizeObserver(resizeCanvas).observe(canvas);
 
   // Set clear color to white, fully opaque
   gl.clearColor(1.0, 1.0, 1.0, 1.0);
@@ -95,13 +200,14 @@ function main() {
 
       uniform mat4 uTransformMatrix; // This will hold the object's unique transformation
       uniform mat4 uProjectionMatrix; // This will hold the camera's projection matrix
+      uniform float uPointSize; // in pixels, the same at every zoom level
 
       varying lowp vec4 vColor;
 
       void main() {
         gl_Position = uProjectionMatrix * uTransformMatrix * vec4(aVertexPosition, 0.0, 1.0);
         vColor = aVertexColor;
-        gl_PointSize = ${DOT_SIZE * (canvas.height / 200.0)}; // make size of point depend on canvas size
+        gl_PointSize = uPointSize;
       }
   `;
 
@@ -132,115 +238,283 @@ function main() {
     uniformLocations: {
       transformMatrix: gl.getUniformLocation(shaderProgram, "uTransformMatrix"),
       projectionMatrix: gl.getUniformLocation(shaderProgram, "uProjectionMatrix"),
+      pointSize: gl.getUniformLocation(shaderProgram, "uPointSize"),
     }
   };
   const peopleProgramInfo = obstacleProgramInfo; // using same shader for now
   const dotProgramInfo = obstacleProgramInfo; // using same shader for now
+
+  // Glyph shader program, WebGL2 only: a quad per person or dot, cut round with an anti-aliased edge
+  const glyphVsSource = `#version 300 es
+      in vec2 aCorner;
+      in vec2 aInstancePosition;
+      in vec4 aInstanceColor;
+      in float aInstanceRadius; // in canvas units
+
+      uniform mat4 uProjectionMatrix;
+      uniform float uCanvasUnit; // the size of a canvas unit in pixels
+      uniform vec2 uViewport; // the size of the drawing buffer in pixels
+
+      out vec4 vColor;
+      out vec2 vOffset; // from the centre of the glyph, in pixels
+      out float vRadius; // in pixels
+
+      void main() {
+        vRadius = aInstanceRadius * uCanvasUnit;
+        vOffset = aCorner * (vRadius + 1.0); // one more pixel for the anti-aliased edge
+        gl_Position = uProjectionMatrix * vec4(aInstancePosition, 0.0, 1.0) + vec4(vOffset * 2.0 / uViewport, 0.0, 0.0);
+        vColor = aInstanceColor;
+      }
+  `;
+
+  const glyphFsSource = `#version 300 es
+    precision mediump float;
+
+    in vec4 vColor;
+    in vec2 vOffset;
+    in float vRadius;
+
+    out vec4 fragColor;
+
+    void main() {
+      float coverage = clamp(vRadius + 0.5 - length(vOffset), 0.0, 1.0); // the part of the pixel inside the circle
+      if (coverage == 0.0) {
+        discard;
+      }
+      fragColor = vec4(vColor.rgb, vColor.a * coverage);
+    }
+  `;
+
+  let glyphProgramInfo = null;
+  if (isWebGL2) {
+    const glyphProgram = initShaderProgram(gl, glyphVsSource, glyphFsSource);
+    glyphProgramInfo = {
+      program: glyphProgram,
+      attribLocations: {
+        corner: gl.getAttribLocation(glyphProgram, "aCorner"),
+        instancePosition: gl.getAttribLocation(glyphProgram, "aInstancePosition"),
+        instanceColor: gl.getAttribLocation(glyphProgram, "aInstanceColor"),
+        instanceRadius: gl.getAttribLocation(glyphProgram, "aInstanceRadius"),
+      },
+      uniformLocations: {
+        projectionMatrix: gl.getUniformLocation(glyphProgram, "uProjectionMatrix"),
+        canvasUnit: gl.getUniformLocation(glyphProgram, "uCanvasUnit"),
+        viewport: gl.getUniformLocation(glyphProgram, "uViewport"),
+      }
+    };
+  }
   const triangleProgramInfo = obstacleProgramInfo; // using same shader for now
   const lineProgramInfo = obstacleProgramInfo; // using same shader for now
 
   // ==========================
   // Defining objects
   // =========================
-  let obstacle = {
-    x: 0,
-    y: 0,
-    scale: 1,
-    vertexCount: 6, // triangles
-    length: 100,
-    width: 100,
-
-    rotation: 0,
-
-    // for the sake of collision detection
-    p1: [-50, -50], // minX, minY
-    p3: [50, 50], // maxX, maxY
-  };
+  // the scene state and the operations on it live in the simulation core, which also runs
+  // without the page. The renderer below subscribes to it and rebuilds its buffers on every change.
+  const sim = createSimulation({
+    bounds: { maxX, minX, maxY, minY },
+    obstacles: [createObstacle(0, 0, OBSTACLE_SHAPES.rectangle)],
+    density: DENSITY,
+  });
+
+  // every random position comes from the shared seeded generator, so the seed reproduces the scene.
+  // this also removes the initial collisions and triangulates
+  setSeed(getSeed());
+  generatePoints(sim, NUMBER_OF_DOTS, NUMBER_OF_PEOPLE);
+
+  let agents = createAgents(NUMBER_OF_PEOPLE); // velocities and preferred speeds, in the same order as people
+  let goals = []; // goal positions [x1, y1, x2, y2, ...], every person walks to the closest one
+  let navigation = { paths: [], waypoints: [] }; // the planned path of every person
+  let timeSinceReplan = 0;
+  let timeSinceGizmoRetriangulation = 0;
 
-  let people = (() => {
-    let array = [];
-    for (let i = 0; i < NUMBER_OF_PEOPLE; i++) {
-      array.push(Math.random() * (maxX - minX) + minX, Math.random() * (maxY - minY) + minY);
-    }
-    return array;
-  })();
-
-  let dots = (() => {
-    let array = [];
-    for (let i = 0; i < NUMBER_OF_DOTS; i++) {
-      array.push(Math.random() * (maxX - minX) + minX, Math.random() * (maxY - minY) + minY);
-    }
-    return array;
-  })();
-
-  const corners = [
-    minX, maxY, // Top-left
-    maxX, maxY, // Top-right
-    maxX, minY, // Bottom-right
-    minX, minY, // Bottom-left
-  ]
-
-  // make sure there are no initial collisions
-  const updatedPositions = updateCollisions(obstacle, people, dots, { maxX, minX, maxY, minY }, NUMBER_OF_DOTS, NUMBER_OF_PEOPLE);
-  people = updatedPositions.people;
-  dots = updatedPositions.dots;
-  let triangle = triangulateWithObstacle(obstacle, dots.concat(corners));
-  let lines = { vertices: triangle.vertices, indices: convertTriangleIndicesToLineIndices(triangle.indices) };
+  let lines = { vertices: sim.triangle.vertices, indices: convertTriangleIndicesToLineIndices(sim.triangle.indices) };
   // get triangles based on density
-  let triangleDensity = getTriangleDensity(triangle, people, DENSITY);
-  let overPopulatedTriangles = triangleDensity.red;
-  let correctPopulatedTriangles = triangleDensity.orange;
-  let underPopulatedTriangles = triangleDensity.blue;
+  let triangleDensity = getDensity(sim);
+  // the color of every triangle as drawn, from the heatmap or the density categories
+  const getTriangleColors = () => triangleDensity.colors ?? triangleDensity.categories.flatMap(category => DENSITY_COLORS[category]);
 
   // Here's where we call the routine that builds all the objects we'll be drawing.
   // --- Obstacle Buffers ---
-  const obstacleBuffers = initBuffers(gl, {
-    positions: [-50, 50, 50, 50, 50, -50, -50, -50],
-    colors: [...OBSTACLE_COLOR, ...OBSTACLE_COLOR, ...OBSTACLE_COLOR, ...OBSTACLE_COLOR],
-    indices: [0, 1, 2, 0, 2, 3],
+  // one buffer set per obstacle, in the same order as the obstacles array.
+  // the positions are the local shape, the transform matrix places it in the world.
+  let obstacleBuffers = [];
+  const rebuildObstacleBuffers = () => {
+    obstacleBuffers.forEach(buffers => deleteBuffers(gl, buffers));
+    obstacleBuffers = sim.obstacles.map((obstacle, index) => {
+      const color = index === selectedObstacleIndex ? SELECTED_OBSTACLE_COLOR : OBSTACLE_COLOR;
+      const indices = triangulatePolygon(obstacle.shape);
+      const buffers = initBuffers(gl, {
+        positions: obstacle.shape.flat(),
+        colors: generateUniformColors(obstacle.shape.length, color),
+        indices: indices,
+      });
+      buffers.vertexCount = indices.length;
+      return buffers;
+    });
+  };
+  rebuildObstacleBuffers();
+
+  // --- Zone Buffers ---
+  // like the obstacles, one buffer set per zone with its local shape. The selected zone is outlined by the gizmo
+  let zoneBuffers = [];
+  const rebuildZoneBuffers = () => {
+    zoneBuffers.forEach(buffers => deleteBuffers(gl, buffers));
+    zoneBuffers = sim.zones.map(zone => {
+      const indices = triangulatePolygon(zone.shape);
+      const buffers = initBuffers(gl, {
+        positions: zone.shape.flat(),
+        colors: generateUniformColors(zone.shape.length, ZONE_COLORS[zone.type]),
+        indices: indices,
+      });
+      buffers.vertexCount = indices.length;
+      buffers.type = zone.type;
+      return buffers;
+    });
+  };
+  rebuildZoneBuffers();
+
+  // --- Obstacle Draft Buffers ---
+  const draftBuffers = initBuffers(gl, {
+    positions: [],
+    colors: [],
+    positionUsage: gl.DYNAMIC_DRAW,
+    colorUsage: gl.DYNAMIC_DRAW,
   });
 
-  // --- People Buffers ---
-  const peopleBuffers = initBuffers(gl, {
-    positions: people,
-    colors: generateUniformColors(NUMBER_OF_PEOPLE, PEOPLE_COLOR),
+  // --- Gizmo Buffers ---
+  // the box and rotation stem of the selected obstacle or zone as line segments, and its handles as points
+  let gizmoLines = [];
+  let gizmoHandles = [];
+  const gizmoLineBuffers = initBuffers(gl, {
+    positions: gizmoLines,
+    colors: [],
     positionUsage: gl.DYNAMIC_DRAW,
     colorUsage: gl.DYNAMIC_DRAW,
   });
+  const gizmoHandleBuffers = initBuffers(gl, {
+    positions: gizmoHandles,
+    colors: [],
+    positionUsage: gl.DYNAMIC_DRAW,
+    colorUsage: gl.DYNAMIC_DRAW,
+  });
+  const updateGizmoBuffers = (obstacle) => {
+    const { corners, stem, rotateHandle } = getGizmoGeometry(obstacle, getWorldPerPixel(camera, canvas.clientHeight));
+    gizmoLines = corners.flatMap((corner, i) => [...corner, ...corners[(i + 1) % 4]]).concat(stem, rotateHandle);
+    gizmoHandles = corners.flat().concat(rotateHandle);
+    updateBuffer(gl, gl.ARRAY_BUFFER, gizmoLineBuffers.position, new Float32Array(gizmoLines), gl.DYNAMIC_DRAW);
+    updateBuffer(gl, gl.ARRAY_BUFFER, gizmoLineBuffers.color, new Float32Array(generateUniformColors(gizmoLines.length / 2, GIZMO_COLOR)), gl.DYNAMIC_DRAW);
+    updateBuffer(gl, gl.ARRAY_BUFFER, gizmoHandleBuffers.position, new Float32Array(gizmoHandles), gl.DYNAMIC_DRAW);
+    updateBuffer(gl, gl.ARRAY_BUFFER, gizmoHandleBuffers.color, new Float32Array(generateUniformColors(gizmoHandles.length / 2, GIZMO_COLOR)), gl.DYNAMIC_DRAW);
+  };
 
-  // --- Dot Buffers ---
-  const dotBuffers = initBuffers(gl, {
-    positions: dots,
-    colors: generateUniformColors(NUMBER_OF_DOTS, DOT_COLOR),
+  // --- Goal and Path Buffers ---
+  const goalBuffers = initBuffers(gl, {
+    positions: goals,
+    colors: [],
+    positionUsage: gl.DYNAMIC_DRAW,
+    colorUsage: gl.DYNAMIC_DRAW,
+  });
+  let pathLines = [];
+  const pathBuffers = initBuffers(gl, {
+    positions: pathLines,
+    colors: [],
     positionUsage: gl.DYNAMIC_DRAW,
     colorUsage: gl.DYNAMIC_DRAW,
   });
 
-  // --- Triangle Buffers ---
-  const overPopulatedTriangleBuffers = initBuffers(gl, {
-    positions: overPopulatedTriangles.vertices,
-    colors: generateUniformColors(overPopulatedTriangles.vertices.length / 2, OVER_POPULATED_COLOR), // red, transparent
-    indices: overPopulatedTriangles.indices,
+  // --- Flash Buffers ---
+  // outlines of the triangles rejected by the mesh validation, as line segments
+  let flashLines = [];
+  let flashUntil = 0; // in milliseconds, the same clock as the render loop
+  const flashBuffers = initBuffers(gl, {
+    positions: flashLines,
+    colors: [],
     positionUsage: gl.DYNAMIC_DRAW,
     colorUsage: gl.DYNAMIC_DRAW,
   });
 
-  const correctPopulatedTriangleBuffers = initBuffers(gl, {
-    positions: correctPopulatedTriangles.vertices,
-    colors: generateUniformColors(correctPopulatedTriangles.vertices.length / 2, CORRECT_POPULATED_COLOR), // orange, transparent
-    indices: correctPopulatedTriangles.indices,
+  // --- Inspection Buffers ---
+  // the outlines of whatever the cursor is over in 'inspect' mode, as line segments
+  let inspection = null; // the result of inspectAt, null if nothing is inspected
+  let inspectionEvent = null; // the last mouse event over the canvas, inspected again when the scene changes
+  let inspectionLines = [];
+  const inspectionBuffers = initBuffers(gl, {
+    positions: inspectionLines,
+    colors: [],
     positionUsage: gl.DYNAMIC_DRAW,
     colorUsage: gl.DYNAMIC_DRAW,
   });
+  let inspectionGrid = null; // the triangle grid of the current mesh, built on the first inspection after a change
+  const updateInspection = () => {
+    if (editMode === 'inspect' && inspectionEvent && !inspectionGrid) {
+      inspectionGrid = buildTriangleGrid(sim.triangle);
+    }
+    inspection = editMode === 'inspect' && inspectionEvent
+      ? inspectAt(sim, triangleDensity, inspectionGrid, getMouseWorldCoordinates(inspectionEvent, canvas, projectionMatrix), pickRadius)
+      : null;
+    if (inspection) {
+      showTooltip(describeInspection(inspection), inspectionEvent.clientX, inspectionEvent.clientY);
+    } else {
+      hideTooltip();
+    }
+  };
+  const updateInspectionBuffers = () => {
+    inspectionLines = getInspectionLines(sim, inspection, getWorldPerPixel(camera, canvas.clientHeight));
+    updateBuffer(gl, gl.ARRAY_BUFFER, inspectionBuffers.position, new Float32Array(inspectionLines), gl.DYNAMIC_DRAW);
+    updateBuffer(gl, gl.ARRAY_BUFFER, inspectionBuffers.color, new Float32Array(generateUniformColors(inspectionLines.length / 2, INSPECT_COLOR)), gl.DYNAMIC_DRAW);
+  };
 
-  const underPopulatedTriangleBuffers = initBuffers(gl, {
-    positions: underPopulatedTriangles.vertices,
-    colors: generateUniformColors(underPopulatedTriangles.vertices.length / 2, UNDER_POPULATED_COLOR), // blue, transparent
-    indices: underPopulatedTriangles.indices,
+  // --- Broken Edit Buffers ---
+  // the edges of the manual edits that could not be applied, as line segments
+  let brokenEditLines = [];
+  const brokenEditBuffers = initBuffers(gl, {
+    positions: brokenEditLines,
+    colors: [],
     positionUsage: gl.DYNAMIC_DRAW,
     colorUsage: gl.DYNAMIC_DRAW,
   });
 
+  // --- People and Dot Buffers ---
+  // instanced glyphs with WebGL2, points with WebGL1
+  const initPointBuffers = (positions, color) => isWebGL2
+    ? initGlyphBuffers(gl, {
+      positions,
+      colors: generateUniformColors(positions.length / 2, color),
+      radii: new Array(positions.length / 2).fill(GLYPH_RADIUS),
+    })
+    : initBuffers(gl, {
+      positions,
+      colors: generateUniformColors(positions.length / 2, color),
+      positionUsage: gl.DYNAMIC_DRAW,
+      colorUsage: gl.DYNAMIC_DRAW,
+    });
+  // the colors and radii only change with the number of points
+  const resizePointBuffers = (buffers, count, color) => {
+    updateBuffer(gl, gl.ARRAY_BUFFER, buffers.color, new Float32Array(generateUniformColors(count, color)), gl.DYNAMIC_DRAW);
+    if (isWebGL2) {
+      updateBuffer(gl, gl.ARRAY_BUFFER, buffers.radius, new Float32Array(count).fill(GLYPH_RADIUS), gl.DYNAMIC_DRAW);
+    }
+  };
+  const drawPoints = (programInfo, buffers, count) => {
+    if (isWebGL2) {
+      drawGlyphs(gl, glyphProgramInfo, buffers, count, projectionMatrix, canvas.height / 200.0);
+    } else {
+      drawObject(gl, programInfo, buffers, mat4.create(), count, [gl.POINTS], projectionMatrix);
+    }
+  };
+  const peopleBuffers = initPointBuffers(sim.people, PEOPLE_COLOR);
+  const dotBuffers = initPointBuffers(sim.dots, DOT_COLOR);
+
+  // --- Triangle Buffers ---
+  // the whole density map in one buffer set, with a color per triangle from its category or the heatmap
+  const densityBuffers = createDensityBuffers(gl);
+  const updateDensityBuffers = () => {
+    setDensityMesh(gl, densityBuffers, sim.triangle);
+    setDensityColors(gl, densityBuffers, getTriangleColors());
+  };
+  updateDensityBuffers();
+
   // --- Line Buffers ---
   const lineBuffers = initBuffers(gl, {
     positions: lines.vertices,
@@ -253,107 +527,292 @@ function main() {
   // =============================
   // DOM Related events
   // =============================
-  // Keyboard inputs
+  // Keyboard inputs, the keys typed into a form control are its own and move nothing
+  const isFormControl = (target) => target instanceof HTMLInputElement || target instanceof HTMLSelectElement || target instanceof HTMLTextAreaElement;
   document.addEventListener('keydown', (event) => {
-    keyboardEvents[event.key] = true;
+    if (!isFormControl(event.target)) {
+      keyboardEvents[event.key] = true;
+    }
   });
   document.addEventListener('keyup', (event) => {
     keyboardEvents[event.key] = false;
   })
 
+  // Camera: the wheel zooms towards the cursor, the middle button or space with the left button pans
+  let panFrom = null; // the last mouse position of a pan, in pixels
+  const isPanButton = (event) => event.button === 1 || (event.button === 0 && keyboardEvents[' ']);
+  canvas.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    zoomCameraAt(camera, Math.exp(-event.deltaY * ZOOM_SPEED), getMouseWorldCoordinates(event, canvas, projectionMatrix));
+    updateProjection();
+  }, { passive: false });
+  canvas.addEventListener('mousedown', (event) => {
+    if (isPanButton(event)) {
+      event.preventDefault(); // no autoscroll on middle click
+      panFrom = { x: event.clientX, y: event.clientY };
+    }
+  });
+  // following the window, so the pan does not get stuck when the mouse leaves the canvas
+  window.addEventListener('mousemove', (event) => {
+    if (!panFrom) {
+      return;
+    }
+    const worldPerPixel = getWorldPerPixel(camera, canvas.clientHeight);
+    panCamera(camera, (panFrom.x - event.clientX) * worldPerPixel, (event.clientY - panFrom.y) * worldPerPixel);
+    panFrom = { x: event.clientX, y: event.clientY };
+    updateProjection();
+  });
+  window.addEventListener('mouseup', () => {
+    panFrom = null;
+  });
+  ['keydown', 'keyup'].forEach(type => document.addEventListener(type, (event) => {
+    // space is held for panning, so it must not scroll the page or press the focused button
+    if (event.key === ' ' && !(event.target instanceof HTMLInputElement)) {
+      event.preventDefault();
+    }
+  }));
+  document.getElementById("camera-fit").addEventListener('click', () => {
+    fitCamera(camera, sim.bounds, aspect);
+    updateProjection();
+  });
+
   // Mouse click (dragging people)
-  const pickRadius = 5.0; // in world units
+
+  // finds the closest mesh vertex to the click, only the first `count` vertices are considered
+  // (the dots come first, then the corners and the obstacle corners)
+  const pickVertex = (mouseWorld, count = sim.triangle.vertices.length / 2) => pickPoint(sim.triangle.vertices, mouseWorld, pickRadius, count);
+
+  // runs a local mesh edit of the simulation core, or shows why it was refused.
+  // only an edit that was applied becomes a step of the history.
+  const applyMeshEdit = (edit, modeLabel) => {
+    const snapshot = takeSnapshot();
+    const result = edit();
+    if (result.error) {
+      editModeStatus.innerText = `Current Mode: ${modeLabel} (${result.error})`;
+      return;
+    }
+    recordHistory(snapshot);
+    editModeStatus.innerText = `Current Mode: ${modeLabel}`;
+  };
 
   canvas.addEventListener('mousedown', (event) => {
+    if (isPanButton(event)) {
+      return; // the camera handles it
+    }
+    if (editMode === 'inspect') {
+      return; // inspecting only follows the cursor, clicks change nothing
+    }
     const mouseWorld = getMouseWorldCoordinates(event, canvas, projectionMatrix);
-    const allTriPoints = dots.concat(corners, ...getObstacleCorners(obstacle)); // all possible points for triangle creation
 
     // --- MODE: ADD TRIANGLE ---
     if (editMode === 'addTriangle') {
-      let closestDistSq = Infinity;
-      let pickedVertexIndex = -1;
-
       // find the closest vertex (dot or corner) to the click
-      for (let i = 0; i < allTriPoints.length; i += 2) {
-        const dx = mouseWorld.x - allTriPoints[i];
-        const dy = mouseWorld.y - allTriPoints[i + 1];
-        const distSq = dx * dx + dy * dy;
-
-        if (distSq < pickRadius * pickRadius && distSq < closestDistSq) {
-          closestDistSq = distSq;
-          pickedVertexIndex = i / 2;
-        }
-      }
+      const pickedVertexIndex = pickVertex(mouseWorld);
 
       if (pickedVertexIndex !== -1 && !triangleSelection.includes(pickedVertexIndex)) {
         triangleSelection.push(pickedVertexIndex);
         editModeStatus.innerText = `Current Mode: Add Triangle (selected ${triangleSelection.length}/3 points)`;
 
-        // if we have selected 3 points, create the new triangle
+        // if we have selected 3 points, create the new triangle if it keeps the mesh valid
         if (triangleSelection.length === 3) {
-          triangle.indices.push(...triangleSelection);
+          const snapshot = takeSnapshot();
+          const problem = addUserTriangle(sim, triangleSelection);
+          if (problem) {
+            flashTriangles([triangleSelection, ...problem.triangles.map(t => sim.triangle.indices.slice(t * 3, t * 3 + 3))]);
+            triangleSelection = [];
+            editModeStatus.innerText = `Current Mode: Add Triangle (rejected: ${problem.reason})`;
+            return;
+          }
+          recordHistory(snapshot);
           triangleSelection = [];
           editModeStatus.innerText = "Current Mode: Add Triangle (select 3 points)";
-          update(false);
         }
       }
     }
+    // --- MODE: DRAW OBSTACLE ---
+    else if (editMode === 'drawObstacle') {
+      const first = obstacleDraft[0];
+      const closesLoop = first && obstacleDraft.length >= 3 &&
+        (mouseWorld.x - first[0]) ** 2 + (mouseWorld.y - first[1]) ** 2 < pickRadius * pickRadius;
+
+      if (closesLoop) {
+        finishObstacleDraft();
+      } else {
+        obstacleDraft.push([mouseWorld.x, mouseWorld.y]);
+        editModeStatus.innerText = `Current Mode: Draw Obstacle (${obstacleDraft.length} vertices, click the first vertex to close)`;
+      }
+      updateBuffer(gl, gl.ARRAY_BUFFER, draftBuffers.position, new Float32Array(obstacleDraft.flat()), gl.DYNAMIC_DRAW);
+      updateBuffer(gl, gl.ARRAY_BUFFER, draftBuffers.color, new Float32Array(generateUniformColors(obstacleDraft.length, SELECTED_OBSTACLE_COLOR)), gl.DYNAMIC_DRAW);
+    }
+    // --- MODE: PLACE GOAL ---
+    else if (editMode === 'placeGoal') {
+      // clicking an existing goal removes it, clicking anywhere else adds one
+      let pickedGoalIndex = -1;
+      for (let i = 0; i < goals.length; i += 2) {
+        if ((mouseWorld.x - goals[i]) ** 2 + (mouseWorld.y - goals[i + 1]) ** 2 < pickRadius * pickRadius) {
+          pickedGoalIndex = i / 2;
+        }
+      }
+      recordHistory();
+      if (pickedGoalIndex !== -1) {
+        goals.splice(pickedGoalIndex * 2, 2);
+      } else {
+        goals.push(mouseWorld.x, mouseWorld.y);
+      }
+      updateGoals();
+    }
     // --- MODE: DELETE EDGE ---
     else if (editMode === 'deleteEdge') {
-      const closest = findClosestEdge(mouseWorld, triangle.vertices, triangle.indices);
+      const closest = findClosestEdge(mouseWorld, sim.triangle.vertices, sim.triangle.indices);
 
       if (closest && closest.distance < pickRadius) {
-        const [v1, v2] = closest.edge;
-        const newIndices = [];
-        // filter out any triangle that contains the selected edge
-        for (let i = 0; i < triangle.indices.length; i += 3) {
-          const tri = [triangle.indices[i], triangle.indices[i + 1], triangle.indices[i + 2]];
-          if (!(tri.includes(v1) && tri.includes(v2))) {
-            newIndices.push(...tri);
-          }
-        }
-        triangle.indices = newIndices;
-        update(false); // no need to retriangulate
+        recordHistory();
+        deleteMeshEdge(sim, closest.edge); // no need to retriangulate
+      }
+    }
+    // --- MODE: FLIP EDGE ---
+    else if (editMode === 'flipEdge') {
+      const closest = findClosestEdge(mouseWorld, sim.triangle.vertices, sim.triangle.indices);
+      if (closest && closest.distance < pickRadius) {
+        applyMeshEdit(() => flipMeshEdge(sim, closest.edge), "Flip Edge (click an interior edge)");
+      }
+    }
+    // --- MODE: ADD DOT ---
+    else if (editMode === 'addDot') {
+      applyMeshEdit(() => insertDot(sim, mouseWorld.x, mouseWorld.y), "Add Dot (click inside a triangle)");
+    }
+    // --- MODE: MOVE DOT ---
+    else if (editMode === 'moveDot') {
+      draggedDotIndex = pickVertex(mouseWorld, sim.dots.length / 2);
+      if (draggedDotIndex !== -1) {
+        recordHistory();
+      }
+    }
+    // --- MODE: DELETE DOT ---
+    else if (editMode === 'deleteDot') {
+      const dotIndex = pickVertex(mouseWorld, sim.dots.length / 2);
+      if (dotIndex !== -1) {
+        applyMeshEdit(() => deleteDot(sim, dotIndex), "Delete Dot (click a dot)");
       }
     }
-    // --- MODE: NONE (DRAG PEOPLE) ---
+    // --- MODE: NONE (DRAG PEOPLE / SELECT AND TRANSFORM OBSTACLE OR ZONE) ---
     else {
-      let closestDistSq = Infinity;
-      draggedPointIndex = -1; // reset before checking
-      for (let i = 0; i < people.length; i += 2) {
-        const dx = mouseWorld.x - people[i];
-        const dy = mouseWorld.y - people[i + 1];
-        const distSq = dx * dx + dy * dy;
-        if (distSq < pickRadius * pickRadius && distSq < closestDistSq) {
-          closestDistSq = distSq;
-          draggedPointIndex = i / 2;
-        }
+      // the handles of the selected obstacle or zone come first, they may lie over people
+      const selected = getGizmoTarget();
+      const handle = selected && pickGizmoHandle(selected, mouseWorld, getWorldPerPixel(camera, canvas.clientHeight), pickRadius);
+      if (handle === 'rotate' || handle === 'scale') {
+        gizmoSnapshot = takeSnapshot();
+        gizmoDrag = startGizmoDrag(selected, handle, mouseWorld);
+        return;
       }
+
+      draggedPointIndex = pickPoint(sim.people, mouseWorld, pickRadius);
       if (draggedPointIndex !== -1) {
+        recordHistory();
         isDragging = true;
+        return;
+      }
+
+      // no person was picked, so a click on a zone or obstacle selects it, and dragging it moves it.
+      // zones lie under the people but over the obstacles
+      const zoneIndex = findObstacleAt(sim.zones, mouseWorld.x, mouseWorld.y);
+      if (zoneIndex !== -1) {
+        selectZone(zoneIndex);
+        gizmoSnapshot = takeSnapshot();
+        gizmoDrag = startGizmoDrag(sim.zones[zoneIndex], 'move', mouseWorld);
+        return;
+      }
+      const obstacleIndex = findObstacleAt(sim.obstacles, mouseWorld.x, mouseWorld.y);
+      if (obstacleIndex !== -1) {
+        selectObstacle(obstacleIndex);
+        gizmoSnapshot = takeSnapshot();
+        gizmoDrag = startGizmoDrag(sim.obstacles[obstacleIndex], 'move', mouseWorld);
       }
     }
   });
 
+  // the selected obstacle or zone follows a gizmo drag, an obstacle is retriangulated by the render loop.
+  // Following the window, so the drag does not get stuck when the button is released outside the canvas
+  window.addEventListener('mousemove', (event) => {
+    if (!gizmoDrag) {
+      return;
+    }
+    const selected = getGizmoTarget();
+    const isObstacle = selectedZoneIndex === -1;
+    const previousPose = { x: selected.x, y: selected.y, scale: selected.scale, rotation: selected.rotation };
+    const snapping = document.getElementById("gizmo-snap").checked;
+    dragGizmo(selected, gizmoDrag, getMouseWorldCoordinates(event, canvas, projectionMatrix), {
+      bounds: sim.bounds,
+      minScale,
+      maxScale,
+      angleSnap: snapping ? Number(document.getElementById("gizmo-angle-snap").value) : 0,
+      gridSnap: snapping ? Number(document.getElementById("gizmo-grid-snap").value) : 0,
+    });
+    // obstacles are not allowed to overlap, so the obstacle stays at its last free pose
+    if (isObstacle && sim.obstacles.some((other, i) => i !== selectedObstacleIndex && obstaclesOverlap(selected, other))) {
+      Object.assign(selected, previousPose);
+      return;
+    }
+    // only a drag that moved the obstacle or zone is a step of the history
+    if (gizmoSnapshot) {
+      recordHistory(gizmoSnapshot);
+      gizmoSnapshot = null;
+    }
+    if (isObstacle) {
+      gizmoMoved = true;
+    } else {
+      pathsDirty = true; // the exits are goals of the paths
+    }
+  });
+  window.addEventListener('mouseup', () => {
+    gizmoDrag = null; // the render loop retriangulates a pending move
+    gizmoSnapshot = null;
+  });
+
   canvas.addEventListener('mousemove', (event) => {
+    if (editMode === 'inspect') {
+      inspectionEvent = event;
+      updateInspection();
+    }
+    if (gizmoDrag) {
+      return; // the window follows it
+    }
+
+    // the triangles of a dragged dot follow it, as long as none of them turns inside out
+    if (draggedDotIndex !== -1) {
+      const mouseWorld = getMouseWorldCoordinates(event, canvas, projectionMatrix);
+      const { maxX, minX, maxY, minY } = sim.bounds;
+      moveDot(sim, draggedDotIndex, Math.min(maxX, Math.max(minX, mouseWorld.x)), Math.min(maxY, Math.max(minY, mouseWorld.y)));
+      return;
+    }
+
     if (!isDragging) {
       return;
     }
 
     const mouseWorld = getMouseWorldCoordinates(event, canvas, projectionMatrix);
 
-    people[draggedPointIndex * 2] = mouseWorld.x;
-    people[draggedPointIndex * 2 + 1] = mouseWorld.y;
+    sim.people[draggedPointIndex * 2] = mouseWorld.x;
+    sim.people[draggedPointIndex * 2 + 1] = mouseWorld.y;
 
-    updateBuffer(gl, gl.ARRAY_BUFFER, peopleBuffers.position, new Float32Array(people), gl.DYNAMIC_DRAW);
+    updateBuffer(gl, gl.ARRAY_BUFFER, peopleBuffers.position, new Float32Array(sim.people), gl.DYNAMIC_DRAW);
+  });
+
+  canvas.addEventListener('mouseleave', () => {
+    inspectionEvent = null;
+    updateInspection();
   });
 
   canvas.addEventListener('mouseup', (event) => {
+    if (draggedDotIndex !== -1) {
+      draggedDotIndex = -1;
+      pathsDirty = true;
+    }
     if (isDragging) {
       isDragging = false;
       draggedPointIndex = -1;
 
-      update(false); // don't retriangulate, just update densities
+      updateSimulation(sim, false); // don't retriangulate, just update densities
     }
   });
 
@@ -361,106 +820,903 @@ function main() {
   document.getElementById("mode-none").addEventListener('click', () => {
     editMode = 'none';
     triangleSelection = []; // clear selection when changing mode
+    obstacleDraft = [];
     editModeStatus.innerText = "Current Mode: None (Drag people)";
   });
   document.getElementById("mode-add").addEventListener('click', () => {
     editMode = 'addTriangle';
     triangleSelection = [];
+    obstacleDraft = [];
     editModeStatus.innerText = "Current Mode: Add Triangle (select 3 points)";
   });
   document.getElementById("mode-delete").addEventListener('click', () => {
     editMode = 'deleteEdge';
     triangleSelection = [];
+    obstacleDraft = [];
     editModeStatus.innerText = "Current Mode: Delete Edge (click an edge)";
   });
+  document.getElementById("mode-flip").addEventListener('click', () => {
+    editMode = 'flipEdge';
+    triangleSelection = [];
+    obstacleDraft = [];
+    editModeStatus.innerText = "Current Mode: Flip Edge (click an interior edge)";
+  });
+  document.getElementById("mode-add-dot").addEventListener('click', () => {
+    editMode = 'addDot';
+    triangleSelection = [];
+    obstacleDraft = [];
+    editModeStatus.innerText = "Current Mode: Add Dot (click inside a triangle)";
+  });
+  document.getElementById("mode-move-dot").addEventListener('click', () => {
+    editMode = 'moveDot';
+    triangleSelection = [];
+    obstacleDraft = [];
+    editModeStatus.innerText = "Current Mode: Move Dot (drag a dot)";
+  });
+  document.getElementById("mode-delete-dot").addEventListener('click', () => {
+    editMode = 'deleteDot';
+    triangleSelection = [];
+    obstacleDraft = [];
+    editModeStatus.innerText = "Current Mode: Delete Dot (click a dot)";
+  });
+  document.getElementById("mode-goal").addEventListener('click', () => {
+    editMode = 'placeGoal';
+    triangleSelection = [];
+    obstacleDraft = [];
+    editModeStatus.innerText = "Current Mode: Place Goal (click to add, click a goal to remove)";
+  });
+  document.getElementById("mode-draw-obstacle").addEventListener('click', () => {
+    editMode = 'drawObstacle';
+    triangleSelection = [];
+    obstacleDraft = [];
+    editModeStatus.innerText = "Current Mode: Draw Obstacle (click to place vertices)";
+  });
+  document.getElementById("mode-inspect").addEventListener('click', () => {
+    editMode = 'inspect';
+    triangleSelection = [];
+    obstacleDraft = [];
+    editModeStatus.innerText = "Current Mode: Inspect (hover a triangle, person or dot)";
+  });
+  // the tooltip goes away as soon as another mode is chosen
+  Object.values(EDIT_MODE_BUTTONS).forEach(id => document.getElementById(id).addEventListener('click', updateInspection));
 
-  let update = (retriangulate) => { }; // prototype function
+  let recordHistory = () => { }; // prototype function
 
-  // Handle sliders
-  createSliderEventListeners(() => {
-    let values = getValuesFromSliders();
-    NUMBER_OF_DOTS = values.numDots;
-    NUMBER_OF_PEOPLE = values.numPeople;
-    DENSITY = values.density;
+  // =============================
+  // Manual mesh edits
+  // =============================
+  const editStatus = document.getElementById("edit-status");
+  const BROKEN_EDIT_LABELS = { forced: "flipped edge", forbidden: "deleted edge", triangle: "added triangle" };
+
+  const updateEditStatus = () => {
+    const { forcedEdges, forbiddenEdges, userTriangles } = sim.edits;
+    const count = forcedEdges.length + forbiddenEdges.length + userTriangles.length;
+    const summary = `Manual edits: ${forcedEdges.length} flipped, ${forbiddenEdges.length} deleted, ${userTriangles.length} added`;
+    editStatus.innerText = sim.brokenEdits.length === 0
+      ? summary
+      : `${summary}; ${sim.brokenEdits.length} of ${count} cannot be applied: ` +
+      sim.brokenEdits.map(edit => `${BROKEN_EDIT_LABELS[edit.type]} ${edit.keys.join("-")} (${edit.reason})`).join("; ");
+  };
 
-    const regenerated = resetAndRegeneratePoints(gl, obstacle, { maxX, minX, maxY, minY }, peopleBuffers, dotBuffers, NUMBER_OF_DOTS, NUMBER_OF_PEOPLE, dots, people, lineBuffers);
-    people = regenerated.people;
-    dots = regenerated.dots;
+  // outlines the broken edits whose vertices still exist, they follow the vertices until the next retriangulation
+  const updateBrokenEditBuffers = () => {
+    const point = (key) => {
+      const v = getVertexIndex(key, sim.dots.length / 2, sim.obstacles);
+      return v === -1 ? null : [sim.triangle.vertices[v * 2], sim.triangle.vertices[v * 2 + 1]];
+    };
+    brokenEditLines = [];
+    sim.brokenEdits.forEach(({ keys }) => {
+      const points = keys.map(point);
+      if (points.includes(null)) return;
+      // an edge is drawn once, a triangle as its closed outline
+      const edges = points.length === 2 ? [[0, 1]] : [[0, 1], [1, 2], [2, 0]];
+      edges.forEach(([a, b]) => brokenEditLines.push(...points[a], ...points[b]));
+    });
+    updateBuffer(gl, gl.ARRAY_BUFFER, brokenEditBuffers.position, new Float32Array(brokenEditLines), gl.DYNAMIC_DRAW);
+    updateBuffer(gl, gl.ARRAY_BUFFER, brokenEditBuffers.color, new Float32Array(generateUniformColors(brokenEditLines.length / 2, BROKEN_EDIT_COLOR)), gl.DYNAMIC_DRAW);
+  };
 
-    update(false);
+  updateEditStatus();
+
+  document.getElementById("mesh-edits-clear").addEventListener('click', () => {
+    recordHistory();
+    clearEdits(sim); // retriangulates without the edits
   });
 
   // =============================
-  // Update function
+  // Density view
   // =============================
-  update = (retriangulate = true) => {
-    const updatedPositions = updateCollisions(obstacle, people, dots, { maxX, minX, maxY, minY }, NUMBER_OF_DOTS, NUMBER_OF_PEOPLE);
-    people = updatedPositions.people;
-    dots = updatedPositions.dots;
-    updateBuffer(gl, gl.ARRAY_BUFFER, peopleBuffers.position, new Float32Array(people), gl.DYNAMIC_DRAW);
-    updateBuffer(gl, gl.ARRAY_BUFFER, dotBuffers.position, new Float32Array(dots), gl.DYNAMIC_DRAW);
+  const heatmapLegend = document.getElementById("heatmap-legend");
+  let legendScale = ""; // the scale the legend was last drawn for, as JSON
+  document.getElementById("density-view").addEventListener('change', (event) => {
+    densityView = event.target.value;
+    heatmapLegend.hidden = densityView !== 'heatmap';
+    updateSimulation(sim, false); // only the colors change
+  });
+  document.getElementById("heatmap-ramp").addEventListener('change', (event) => {
+    heatmapRamp = event.target.value;
+    updateSimulation(sim, false);
+  });
+  document.getElementById("density-metric").addEventListener('change', (event) => {
+    sim.density.metric = event.target.value;
+    updateSimulation(sim, false);
+  });
+  const areaDensityInput = document.getElementById("area-density");
+  const metersPerUnitInput = document.getElementById("meters-per-unit");
+  areaDensityInput.addEventListener('input', (event) => {
+    sim.density.areaThreshold = Number(event.target.value);
+    document.getElementById("area-density-value").innerText = sim.density.areaThreshold;
+    updateSimulation(sim, false);
+  });
+  metersPerUnitInput.addEventListener('change', (event) => {
+    const metersPerUnit = Number(event.target.value);
+    if (metersPerUnit >= Number(metersPerUnitInput.min) && metersPerUnit <= Number(metersPerUnitInput.max)) {
+      sim.density.metersPerUnit = metersPerUnit;
+      updateSimulation(sim, false);
+    } else {
+      event.target.value = sim.density.metersPerUnit; // the scale has to stay within the range of the input
+    }
+  });
 
-    // if there was a movement, update triangulation lines
-    if (retriangulate)
-      triangle = triangulateWithObstacle(obstacle, dots.concat(corners));
+  // =============================
+  // Mesh validation
+  // =============================
+  // makes the outlines of some triangles and edges (as vertex indices of the mesh) blink for a moment
+  const flashTriangles = (triangles, edges = []) => {
+    const point = (v) => [sim.triangle.vertices[v * 2], sim.triangle.vertices[v * 2 + 1]];
+    flashLines = [];
+    triangles.forEach(([a, b, c]) => flashLines.push(...point(a), ...point(b), ...point(b), ...point(c), ...point(c), ...point(a)));
+    edges.forEach(([a, b]) => flashLines.push(...point(a), ...point(b)));
+    updateBuffer(gl, gl.ARRAY_BUFFER, flashBuffers.position, new Float32Array(flashLines), gl.DYNAMIC_DRAW);
+    updateBuffer(gl, gl.ARRAY_BUFFER, flashBuffers.color, new Float32Array(generateUniformColors(flashLines.length / 2, FLASH_COLOR)), gl.DYNAMIC_DRAW);
+    flashUntil = performance.now() + FLASH_DURATION * 1000;
+  };
 
-    triangleDensity = getTriangleDensity(triangle, people, DENSITY);
-    overPopulatedTriangles = triangleDensity.red;
-    correctPopulatedTriangles = triangleDensity.orange;
-    underPopulatedTriangles = triangleDensity.blue;
-    lines = { vertices: triangle.vertices, indices: convertTriangleIndicesToLineIndices(triangle.indices) };
+  const validationStatus = document.getElementById("validation-status");
+  document.getElementById("validate-mesh").addEventListener('click', () => {
+    const report = validateMesh(sim.triangle, sim.obstacles, sim.bounds);
+    const triangleOf = (t) => sim.triangle.indices.slice(t * 3, t * 3 + 3);
+    const problems = [
+      ...report.degenerate.map(t => `triangle ${t} is degenerate`),
+      ...report.overlaps.map(([a, b]) => `triangles ${a} and ${b} overlap`),
+      ...report.obstacleCrossings.map(t => `triangle ${t} crosses an obstacle`),
+      ...report.holes.map(hole => `hole near (${hole.x.toFixed(1)}, ${hole.y.toFixed(1)}) bounded by ${hole.edges.length} edges`),
+    ];
+    flashTriangles(
+      [...report.degenerate, ...report.overlaps.flat(), ...report.obstacleCrossings].map(triangleOf),
+      report.holes.flatMap(hole => hole.edges),
+    );
+    validationStatus.innerText = problems.length === 0
+      ? `The mesh is valid (${sim.triangle.indices.length / 3} triangles)`
+      : `${problems.length} problem(s): ${problems.join("; ")}`;
+  });
 
-    // red triangles
-    updateBuffer(gl, gl.ARRAY_BUFFER, overPopulatedTriangleBuffers.position, new Float32Array(overPopulatedTriangles.vertices), gl.DYNAMIC_DRAW);
-    updateBuffer(gl, gl.ARRAY_BUFFER, overPopulatedTriangleBuffers.color, new Float32Array(generateUniformColors(overPopulatedTriangles.vertices.length / 2, OVER_POPULATED_COLOR)), gl.DYNAMIC_DRAW);
-    updateBuffer(gl, gl.ELEMENT_ARRAY_BUFFER, overPopulatedTriangleBuffers.indices, new Uint16Array(overPopulatedTriangles.indices), gl.DYNAMIC_DRAW);
+  // =============================
+  // Mesh auto-balancing
+  // =============================
+  const balanceStatus = document.getElementById("balance-status");
+  document.getElementById("balance-mesh").addEventListener('click', () => {
+    recordHistory();
+    const result = balanceMesh(sim);
+
+    const { triangles, min, max, mean, stdDev } = result.summary;
+    balanceStatus.innerText = `${result.converged ? "Balanced" : "Stopped"} after ${result.iterations} iterations: ` +
+      `${triangles} triangles, ${NUMBER_OF_DOTS} dots, people per triangle min ${min} / max ${max} / mean ${mean.toFixed(2)} / std ${stdDev.toFixed(2)}`;
+  });
 
-    // orange triangles
-    updateBuffer(gl, gl.ARRAY_BUFFER, correctPopulatedTriangleBuffers.position, new Float32Array(correctPopulatedTriangles.vertices), gl.DYNAMIC_DRAW);
-    updateBuffer(gl, gl.ARRAY_BUFFER, correctPopulatedTriangleBuffers.color, new Float32Array(generateUniformColors(correctPopulatedTriangles.vertices.length / 2, CORRECT_POPULATED_COLOR)), gl.DYNAMIC_DRAW);
-    updateBuffer(gl, gl.ELEMENT_ARRAY_BUFFER, correctPopulatedTriangleBuffers.indices, new Uint16Array(correctPopulatedTriangles.indices), gl.DYNAMIC_DRAW);
+  // =============================
+  // Seeded scene generation
+  // =============================
+  const seedInput = document.getElementById("seed");
+  seedInput.value = getSeed();
+
+  // regenerates people and dots in the same order as at startup, so the same seed
+  // and slider values always give the same scene
+  const regenerateScene = () => {
+    recordHistory();
+    setSeed(Number(seedInput.value));
+    seedInput.value = getSeed();
+    generatePoints(sim, NUMBER_OF_DOTS, NUMBER_OF_PEOPLE); // resolves collisions with the seeded generator too, then retriangulates
+    agents = createAgents(NUMBER_OF_PEOPLE);
+  };
+  document.getElementById("seed-regenerate").addEventListener('click', regenerateScene);
+  document.getElementById("seed-new").addEventListener('click', () => {
+    seedInput.value = createRandomSeed();
+    regenerateScene();
+  });
 
-    // blue triangles
-    updateBuffer(gl, gl.ARRAY_BUFFER, underPopulatedTriangleBuffers.position, new Float32Array(underPopulatedTriangles.vertices), gl.DYNAMIC_DRAW);
-    updateBuffer(gl, gl.ARRAY_BUFFER, underPopulatedTriangleBuffers.color, new Float32Array(generateUniformColors(underPopulatedTriangles.vertices.length / 2, UNDER_POPULATED_COLOR)), gl.DYNAMIC_DRAW);
-    updateBuffer(gl, gl.ELEMENT_ARRAY_BUFFER, underPopulatedTriangleBuffers.indices, new Uint16Array(underPopulatedTriangles.indices), gl.DYNAMIC_DRAW);
+  // =============================
+  // Population distributions
+  // =============================
+  const DISTRIBUTION_NAMES = { uniform: "uniform", clusters: "Gaussian clusters", poissonDisk: "Poisson-disk", grid: "jittered grid", image: "density image" };
+  const distributionStatus = document.getElementById("distribution-status");
+  let densityMap = null; // the density image from loadDensityMap, null until one is loaded
+
+  // reads the distribution of people or dots from the controls, both share the settings of each type
+  const getDistribution = (kind) => {
+    const type = document.getElementById(`${kind}-distribution`).value;
+    if (type === 'clusters') {
+      // a spread of 0 would put every point of a cluster on its center, so it has the input's minimum
+      const spreadInput = document.getElementById("cluster-spread");
+      const spread = Math.max(Number(spreadInput.min), Number(spreadInput.value) || 0);
+      // centers that are not an "x, y" pair of numbers are skipped
+      const clusters = document.getElementById("cluster-centers").value.split(";")
+        .map(center => center.split(","))
+        .filter(parts => parts.length === 2 && parts.every(part => part.trim() !== "" && Number.isFinite(Number(part))))
+        .map(([x, y]) => ({ x: Number(x), y: Number(y), spread }));
+      return { type, clusters };
+    }
+    if (type === 'poissonDisk') {
+      return { type, spacing: Math.max(0, Number(document.getElementById("poisson-spacing").value) || 0) };
+    }
+    if (type === 'grid') {
+      return { type, jitter: Math.min(1, Math.max(0, Number(document.getElementById("grid-jitter").value) || 0)) };
+    }
+    if (type === 'image') {
+      return { type, densityMap };
+    }
+    return { type: 'uniform' };
+  };
 
-    // lines
-    let vertices = new Float32Array(triangle.vertices);
-    updateBuffer(gl, gl.ARRAY_BUFFER, lineBuffers.position, vertices, gl.DYNAMIC_DRAW);
-    updateBuffer(gl, gl.ARRAY_BUFFER, lineBuffers.color, new Float32Array(generateUniformColors(lines.vertices.length / 2, LINE_COLOR)), gl.DYNAMIC_DRAW);
-    updateBuffer(gl, gl.ELEMENT_ARRAY_BUFFER, lineBuffers.indices, new Uint16Array(lines.indices), gl.DYNAMIC_DRAW);
-  }
+  // a new distribution regenerates the scene with the current seed
+  const applyDistributions = () => {
+    const wanted = { people: NUMBER_OF_PEOPLE, dots: NUMBER_OF_DOTS };
+    sim.distributions = { people: getDistribution('people'), dots: getDistribution('dots') };
+    regenerateScene();
+    distributionStatus.innerText = ['people', 'dots'].map(kind => {
+      const distribution = sim.distributions[kind];
+      const count = sim[kind].length / 2;
+      const notes = [];
+      if ((distribution.type === 'image' && !distribution.densityMap) || (distribution.type === 'clusters' && distribution.clusters.length === 0)) {
+        notes.push("not set up, uniform instead");
+      }
+      if (count < wanted[kind]) {
+        notes.push(`only ${count} of ${wanted[kind]} fit`);
+      }
+      return `${kind}: ${DISTRIBUTION_NAMES[distribution.type]}${notes.length > 0 ? ` (${notes.join(", ")})` : ""}`;
+    }).join(", ");
+  };
+  ["people-distribution", "dots-distribution", "cluster-centers", "cluster-spread", "poisson-spacing", "grid-jitter"].forEach(id => {
+    document.getElementById(id).addEventListener('change', applyDistributions);
+  });
+
+  const densityImageInput = document.getElementById("density-image");
+  densityImageInput.addEventListener('change', async () => {
+    const file = densityImageInput.files[0];
+    if (!file) {
+      return;
+    }
+    try {
+      densityMap = await loadDensityMap(file);
+    } catch (error) {
+      distributionStatus.innerText = `Could not read ${file.name}: ${error.message}`;
+      return;
+    }
+    applyDistributions();
+  });
+
+  // =============================
+  // Goals and paths
+  // =============================
+  const updateGoals = () => {
+    updateBuffer(gl, gl.ARRAY_BUFFER, goalBuffers.position, new Float32Array(goals), gl.DYNAMIC_DRAW);
+    updateBuffer(gl, gl.ARRAY_BUFFER, goalBuffers.color, new Float32Array(generateUniformColors(goals.length / 2, GOAL_COLOR)), gl.DYNAMIC_DRAW);
+    pathsDirty = true;
+  };
+
+  // people walk to the goals and to the exit zones
+  const getNavigationGoals = () => goals.concat(getExitTargets(sim.zones));
+
+  const replanPaths = () => {
+    navigation = planPaths(buildNavMesh(sim.triangle), sim.people, getNavigationGoals());
+    pathsDirty = false;
+    timeSinceReplan = 0;
+  };
+
+  document.getElementById("goals-clear").addEventListener('click', () => {
+    recordHistory();
+    goals = [];
+    updateGoals();
+  });
+  document.getElementById("show-paths").addEventListener('change', (event) => {
+    showPaths = event.target.checked;
+  });
+
+  const simulationToggle = document.getElementById("simulation-toggle");
+  simulationToggle.addEventListener('click', () => {
+    isSimulating = !isSimulating;
+    simulationToggle.innerText = isSimulating ? "Pause Simulation" : "Start Simulation";
+  });
+
+  // =============================
+  // Obstacle list
+  // =============================
+  const obstacleStatus = document.getElementById("obstacle-status");
+  const updateObstacleStatus = () => {
+    obstacleStatus.innerText = selectedObstacleIndex === -1
+      ? `Obstacles: ${sim.obstacles.length} (none selected)`
+      : `Obstacles: ${sim.obstacles.length} (selected #${selectedObstacleIndex + 1})`;
+  };
+
+  const selectObstacle = (index) => {
+    selectedObstacleIndex = index;
+    if (index !== -1 && selectedZoneIndex !== -1) {
+      selectZone(-1);
+    }
+    rebuildObstacleBuffers();
+    updateObstacleStatus();
+  };
+
+  // turns the polygon drawn in 'drawObstacle' mode into a new obstacle
+  const finishObstacleDraft = () => {
+    const polygon = obstacleDraft;
+    obstacleDraft = [];
+
+    if (!isSimplePolygon(polygon)) {
+      editModeStatus.innerText = "Current Mode: Draw Obstacle (edges must not cross, try again)";
+      return;
+    }
+    const newObstacle = createObstacleFromPolygon(polygon);
+    // the same check as loading a scene, so a drawn obstacle can always be saved and loaded again
+    if (findCornerOutsideBounds(newObstacle, sim.bounds) !== -1) {
+      editModeStatus.innerText = "Current Mode: Draw Obstacle (obstacles must stay inside the world, try again)";
+      return;
+    }
+    if (sim.obstacles.some(other => obstaclesOverlap(newObstacle, other))) {
+      editModeStatus.innerText = "Current Mode: Draw Obstacle (obstacles must not overlap, try again)";
+      return;
+    }
+
+    recordHistory();
+    addObstacle(sim, newObstacle);
+    selectObstacle(sim.obstacles.length - 1);
+    editModeStatus.innerText = "Current Mode: Draw Obstacle (click to place vertices)";
+  };
+
+  document.getElementById("obstacle-add").addEventListener('click', () => {
+    // try the centre first, then random spots, until the new obstacle overlaps nothing
+    const shape = OBSTACLE_SHAPES[document.getElementById("obstacle-shape").value];
+    const newObstacle = createObstacle(0, 0, shape, NEW_OBSTACLE_SCALE);
+    for (let attempt = 0; attempt < 100; attempt++) {
+      if (!sim.obstacles.some(other => obstaclesOverlap(newObstacle, other))) {
+        recordHistory();
+        addObstacle(sim, newObstacle);
+        selectObstacle(sim.obstacles.length - 1);
+        return;
+      }
+      const { maxX, minX, maxY, minY } = sim.bounds;
+      newObstacle.x = random() * (maxX - minX) + minX;
+      newObstacle.y = random() * (maxY - minY) + minY;
+      clamp(newObstacle, maxX, minX, maxY, minY, minScale, maxScale);
+    }
+    obstacleStatus.innerText = "Could not find free space for a new obstacle";
+  });
+
+  document.getElementById("obstacle-remove").addEventListener('click', () => {
+    if (selectedObstacleIndex === -1) {
+      return;
+    }
+    recordHistory();
+    removeObstacle(sim, selectedObstacleIndex);
+    selectObstacle(Math.min(selectedObstacleIndex, sim.obstacles.length - 1));
+  });
+  updateObstacleStatus();
+
+  // =============================
+  // Spawn and exit zones
+  // =============================
+  const zoneStatus = document.getElementById("zone-status");
+  const zoneRateInput = document.getElementById("zone-rate");
+  const updateZoneStatus = () => {
+    const spawnCount = sim.zones.filter(zone => zone.type === 'spawn').length;
+    const selected = sim.zones[selectedZoneIndex];
+    zoneStatus.innerText = `Zones: ${spawnCount} spawn, ${sim.zones.length - spawnCount} exit` +
+      (selected ? ` (selected #${selectedZoneIndex + 1}, ${selected.type})` : " (none selected)");
+  };
+
+  // the gizmo and the keyboard move the selected zone if there is one, the selected obstacle otherwise
+  const getGizmoTarget = () => sim.zones[selectedZoneIndex] ?? sim.obstacles[selectedObstacleIndex];
+
+  const selectZone = (index) => {
+    selectedZoneIndex = index;
+    if (index !== -1) {
+      selectObstacle(-1);
+      if (sim.zones[index].type === 'spawn') {
+        zoneRateInput.value = sim.zones[index].rate;
+      }
+    }
+    updateZoneStatus();
+  };
+
+  document.getElementById("zone-add").addEventListener('click', () => {
+    const type = document.getElementById("zone-type").value;
+    const { maxX, minX, maxY, minY } = sim.bounds;
+    const zone = createZone(type, random() * (maxX - minX) + minX, random() * (maxY - minY) + minY, NEW_ZONE_SCALE, Number(zoneRateInput.value));
+    clamp(zone, maxX, minX, maxY, minY, minScale, maxScale);
+    recordHistory();
+    addZone(sim, zone);
+    selectZone(sim.zones.length - 1);
+    pathsDirty = true;
+  });
+
+  document.getElementById("zone-remove").addEventListener('click', () => {
+    if (selectedZoneIndex === -1) {
+      return;
+    }
+    recordHistory();
+    removeZone(sim, selectedZoneIndex);
+    selectZone(Math.min(selectedZoneIndex, sim.zones.length - 1));
+    pathsDirty = true;
+  });
+
+  zoneRateInput.addEventListener('change', () => {
+    const selected = sim.zones[selectedZoneIndex];
+    const rate = Number(zoneRateInput.value);
+    if (selected && selected.type === 'spawn' && Number.isFinite(rate) && rate >= 0) {
+      recordHistory();
+      selected.rate = rate;
+    }
+  });
+  updateZoneStatus();
+
+  // =============================
+  // Saving and loading scenes
+  // =============================
+  const sceneStatus = document.getElementById("scene-status");
+
+  const captureScene = () => ({
+    obstacles: sim.obstacles,
+    zones: sim.zones,
+    dots: sim.dots,
+    people: sim.people,
+    goals,
+    bounds: sim.bounds,
+    indices: sim.triangle.indices,
+    density: sim.density.threshold,
+    densityMetric: sim.density.metric,
+    areaDensity: sim.density.areaThreshold,
+    metersPerUnit: sim.density.metersPerUnit,
+    editMode,
+    seed: getSeed(),
+    edits: sim.edits,
+  });
+
+  // restores a scene from parseScene. The saved mesh is kept as it is, including manual edits.
+  const applyScene = (scene) => {
+    isDragging = false;
+    draggedDotIndex = -1;
+    gizmoDrag = null;
+    setBounds(sim, scene.bounds);
+
+    sim.obstacles = scene.obstacles;
+    sim.zones = scene.zones;
+    selectZone(Math.min(selectedZoneIndex, sim.zones.length - 1));
+    if (selectedZoneIndex === -1) {
+      selectObstacle(Math.min(selectedObstacleIndex === -1 ? 0 : selectedObstacleIndex, sim.obstacles.length - 1));
+    }
+    sim.dots = scene.dots;
+    sim.people = scene.people;
+    goals = scene.goals;
+    NUMBER_OF_DOTS = sim.dots.length / 2;
+    NUMBER_OF_PEOPLE = sim.people.length / 2;
+    sim.density.threshold = scene.density;
+    sim.density.metric = scene.densityMetric;
+    sim.density.areaThreshold = scene.areaDensity;
+    sim.density.metersPerUnit = scene.metersPerUnit;
+    document.getElementById("density-metric").value = sim.density.metric;
+    document.getElementById("area-density").value = sim.density.areaThreshold;
+    document.getElementById("area-density-value").innerText = sim.density.areaThreshold;
+    document.getElementById("meters-per-unit").value = sim.density.metersPerUnit;
+    setupSliders(NUMBER_OF_DOTS, NUMBER_OF_PEOPLE, sim.density.threshold);
+    setSeed(scene.seed);
+    seedInput.value = getSeed();
+    agents = createAgents(NUMBER_OF_PEOPLE);
+    sim.edits = scene.edits;
+    // the saved mesh already holds the edits, so this only finds out which of them are broken
+    sim.brokenEdits = triangulateWithEdits(sim.obstacles, sim.dots, sim.corners, sim.edits).broken;
+
+    // same vertex layout as triangulateWithObstacle, so the saved indices point at the right vertices
+    sim.triangle = {
+      vertices: sim.dots.concat(sim.corners, ...sim.obstacles.map(obstacle => getObstacleCorners(obstacle).flat())),
+      indices: scene.indices,
+    };
+    inspectionGrid = null;
+    updateGoals();
+    updateSimulation(sim, false);
+
+    document.getElementById(EDIT_MODE_BUTTONS[scene.editMode]).click();
+  };
+
+  document.getElementById("scene-save").addEventListener('click', () => {
+    downloadTextFile(serializeScene(captureScene()), "scene.json", "application/json");
+    sceneStatus.innerText = "Scene saved";
+  });
+
+  const sceneFileInput = document.getElementById("scene-file");
+  document.getElementById("scene-load").addEventListener('click', () => sceneFileInput.click());
+  sceneFileInput.addEventListener('change', async () => {
+    const file = sceneFileInput.files[0];
+    sceneFileInput.value = ""; // so the same file can be loaded again
+    if (!file) {
+      return;
+    }
+    try {
+      const scene = parseScene(await file.text(), {
+        bounds: canvasBounds,
+        minScale,
+        maxScale,
+        maxDensity: Number(document.getElementById("density").max),
+        areaDensity: { min: Number(areaDensityInput.min), max: Number(areaDensityInput.max), step: Number(areaDensityInput.step) },
+        metersPerUnit: { min: Number(metersPerUnitInput.min), max: Number(metersPerUnitInput.max) },
+        editModes: Object.keys(EDIT_MODE_BUTTONS),
+      });
+      recordHistory();
+      applyScene(scene);
+      sceneStatus.innerText = `Loaded ${file.name}`;
+    } catch (error) {
+      sceneStatus.innerText = `Could not load ${file.name}: ${error.message}`;
+    }
+  });
+
+  // =============================
+  // Mesh export
+  // =============================
+  document.getElementById("export-svg").addEventListener('click', () => {
+    const svg = exportSceneToSVG({
+      triangle: sim.triangle,
+      density: { ...triangleDensity, colors: getTriangleColors() },
+      obstacles: sim.obstacles,
+      dots: sim.dots,
+      people: sim.people,
+      bounds: sim.bounds,
+    }, {
+      layers: {
+        obstacles: document.getElementById("export-obstacles").checked,
+        dots: document.getElementById("export-dots").checked,
+        people: document.getElementById("export-people").checked,
+      },
+      colors: { line: LINE_COLOR, obstacle: OBSTACLE_COLOR, dot: DOT_COLOR, people: PEOPLE_COLOR },
+      pointSize: DOT_SIZE,
+    });
+    downloadTextFile(svg, "triangulation.svg", "image/svg+xml");
+  });
+  document.getElementById("export-obj").addEventListener('click', () => {
+    const obj = exportMeshToOBJ(sim.triangle, triangleDensity, "triangulation.mtl");
+    downloadTextFile(obj, "triangulation.obj", "model/obj");
+    downloadTextFile(exportMaterialsToMTL(DENSITY_COLORS), "triangulation.mtl", "model/mtl");
+  });
+  document.getElementById("export-ply").addEventListener('click', () => {
+    const ply = exportMeshToPLY(sim.triangle, { ...triangleDensity, colors: getTriangleColors() });
+    downloadTextFile(ply, "triangulation.ply", "text/plain");
+  });
+
+  // =============================
+  // Undo / redo
+  // =============================
+  const history = createHistory();
+  const historyStatus = document.getElementById("history-status");
+  const updateHistoryStatus = () => {
+    historyStatus.innerText = `History: ${history.undoStack.length} undo / ${history.redoStack.length} redo`;
+  };
+
+  // a deep copy, since the live scene keeps being edited in place
+  const takeSnapshot = () => structuredClone(captureScene());
+
+  // call right before every edit of the scene
+  // an edit that may be refused takes its snapshot first and records it once it was applied
+  recordHistory = (snapshot = takeSnapshot()) => {
+    pushHistory(history, snapshot);
+    updateHistoryStatus();
+  };
+
+  const restoreSnapshot = (snapshot) => {
+    if (snapshot) {
+      applyScene({ ...snapshot, editMode }); // undo restores the scene, not the edit mode
+    }
+    updateHistoryStatus();
+  };
+  updateHistoryStatus();
+
+  const TRANSFORM_KEYS = ['w', 'a', 's', 'd', 'q', 'e', 'o', 'p', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+  const isTransformKey = (key) => TRANSFORM_KEYS.includes(key.length === 1 ? key.toLowerCase() : key);
+  const isHoldingTransformKey = (except) => Object.keys(keyboardEvents).some(key => key !== except && keyboardEvents[key] && isTransformKey(key));
+  document.addEventListener('keydown', (event) => {
+    // form controls keep their own keys and undo
+    if (isFormControl(event.target)) {
+      return;
+    }
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+      event.preventDefault();
+      restoreSnapshot(event.shiftKey ? redoHistory(history, takeSnapshot()) : undoHistory(history, takeSnapshot()));
+      return;
+    }
+    // holding the keys moves the obstacle or zone every frame, so one press of a first key is one step.
+    // It is recorded by the render loop once the selection moved, a clamped or refused move is no step
+    if (!event.repeat && getGizmoTarget() && isTransformKey(event.key) && !isHoldingTransformKey(event.key)) {
+      keyboardSnapshot = takeSnapshot();
+    }
+  });
+  document.addEventListener('keyup', () => {
+    if (!isHoldingTransformKey()) {
+      keyboardSnapshot = null;
+    }
+  });
+
+  // a slider drag regenerates the scene many times, but is one step
+  let isSliding = false;
+  ["dots", "people", "density"].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      isSliding = false;
+    });
+  });
+
+  // Handle sliders
+  createSliderEventListeners((event) => {
+    if (!isSliding) {
+      recordHistory();
+      isSliding = true;
+    }
+    let values = getValuesFromSliders();
+    // the dots can outgrow their slider by hand or by auto-balancing, so only the dots slider sets them
+    if (event.target.id === "dots") {
+      NUMBER_OF_DOTS = values.numDots;
+    }
+    NUMBER_OF_PEOPLE = values.numPeople;
+    sim.density.threshold = values.density;
+    pathsDirty = true;
+
+    // the mesh vertices start with the dots, so only a new number of dots triangulates again
+    resizePopulation(sim, NUMBER_OF_DOTS, NUMBER_OF_PEOPLE);
+  });
+
+  // =============================
+  // Time-series recording
+  // =============================
+  // the work of the simulation updates since the last frame, every frame is one sample
+  let frameWork = { respawned: 0, triangulationTime: 0 };
+  let recording = createRecording();
+  let isRecording = false;
+  let recordingStart = 0; // the render time of the first sample, in milliseconds
+  const recordingToggle = document.getElementById("recording-toggle");
+  const recordingStatus = document.getElementById("recording-status");
+  const chartCanvas = document.getElementById("time-series-charts");
+
+  const updateRecording = (now) => {
+    if (isRecording) {
+      if (recording.count === 0) {
+        recordingStart = now;
+      }
+      recordSample(recording, {
+        time: (now - recordingStart) / 1000,
+        overpopulated: triangleDensity.categories.filter(category => category === 'red').length,
+        maxDensity: triangleDensity.values.reduce((max, value) => Math.max(max, value), 0),
+        respawned: frameWork.respawned,
+        triangulationTime: frameWork.triangulationTime,
+      });
+      const visible = getLatestSamples(recording, CHART_SAMPLES);
+      recordingStatus.innerText = `${recording.count} samples, ${visible[visible.length - 1].time.toFixed(1)} s`;
+      drawTimeSeriesCharts(chartCanvas, visible, METRICS, CHART_SAMPLES);
+    }
+    frameWork = { respawned: 0, triangulationTime: 0 };
+  };
+
+  recordingToggle.addEventListener('click', () => {
+    isRecording = !isRecording;
+    recordingToggle.innerText = isRecording ? "Stop Recording" : "Start Recording";
+  });
+  document.getElementById("recording-clear").addEventListener('click', () => {
+    recording = createRecording();
+    recordingStatus.innerText = "No samples recorded";
+    drawTimeSeriesCharts(chartCanvas, [], METRICS, CHART_SAMPLES);
+  });
+  document.getElementById("recording-export").addEventListener('click', () => {
+    downloadTextFile(recordingToCSV(recording), "recording.csv", "text/csv");
+  });
+
+  // =============================
+  // Renderer
+  // =============================
+  // the buffers follow the simulation: every change of the scene rebuilds them from its state
+  let renderedDotCount = sim.dots.length / 2;
+  let renderedPeopleCount = sim.people.length / 2;
+  subscribe(sim, ({ meshChanged, respawned, triangulationTime }) => {
+    frameWork.respawned += respawned;
+    frameWork.triangulationTime += triangulationTime;
+    syncAgents(agents, sim.people.length / 2);
+    if (meshChanged) {
+      pathsDirty = true;
+      inspectionGrid = null;
+    }
+
+    // balancing and dot edits change the number of dots without the sliders
+    if (sim.dots.length / 2 !== NUMBER_OF_DOTS || sim.people.length / 2 !== NUMBER_OF_PEOPLE) {
+      NUMBER_OF_DOTS = sim.dots.length / 2;
+      NUMBER_OF_PEOPLE = sim.people.length / 2;
+      setupSliders(NUMBER_OF_DOTS, NUMBER_OF_PEOPLE, sim.density.threshold);
+    }
+    if (renderedPeopleCount !== NUMBER_OF_PEOPLE) {
+      renderedPeopleCount = NUMBER_OF_PEOPLE;
+      resizePointBuffers(peopleBuffers, NUMBER_OF_PEOPLE, PEOPLE_COLOR);
+    }
+    if (renderedDotCount !== NUMBER_OF_DOTS) {
+      renderedDotCount = NUMBER_OF_DOTS;
+      resizePointBuffers(dotBuffers, NUMBER_OF_DOTS, DOT_COLOR);
+    }
+    updateBuffer(gl, gl.ARRAY_BUFFER, peopleBuffers.position, new Float32Array(sim.people), gl.DYNAMIC_DRAW);
+    updateBuffer(gl, gl.ARRAY_BUFFER, dotBuffers.position, new Float32Array(sim.dots), gl.DYNAMIC_DRAW);
+    updateBrokenEditBuffers();
+    updateEditStatus();
+    if (zoneBuffers.length !== sim.zones.length || sim.zones.some((zone, i) => zoneBuffers[i].type !== zone.type)) {
+      rebuildZoneBuffers();
+      updateZoneStatus();
+    }
+
+    triangleDensity = getDensity(sim, densityView === 'heatmap' ? heatmapRamp : null);
+    // the legend only changes with the scale, not with every step of the crowd
+    if (triangleDensity.scale && JSON.stringify(triangleDensity.scale) !== legendScale) {
+      legendScale = JSON.stringify(triangleDensity.scale);
+      drawHeatmapLegend(triangleDensity.scale, sim.density.metric === 'area' ? "People per m²" : "People per triangle");
+    }
+    drawStatsPanel(getDensityStatistics(triangleDensity), getMeshQuality(sim.triangle), SLIVER_ANGLE);
+    updateInspection(); // people and the mesh may have moved under the cursor
+    // the positions and lines only change with the mesh, the colors with every step of the crowd
+    const lineCount = lines.vertices.length / 2;
+    if (setDensityMesh(gl, densityBuffers, sim.triangle)) {
+      lines = { vertices: sim.triangle.vertices, indices: convertTriangleIndicesToLineIndices(sim.triangle.indices) };
+      updateBuffer(gl, gl.ARRAY_BUFFER, lineBuffers.position, new Float32Array(lines.vertices), gl.DYNAMIC_DRAW);
+      if (lines.vertices.length / 2 !== lineCount) {
+        updateBuffer(gl, gl.ARRAY_BUFFER, lineBuffers.color, new Float32Array(generateUniformColors(lines.vertices.length / 2, LINE_COLOR)), gl.DYNAMIC_DRAW);
+      }
+      updateBuffer(gl, gl.ELEMENT_ARRAY_BUFFER, lineBuffers.indices, new Uint32Array(lines.indices), gl.DYNAMIC_DRAW);
+    }
+    updateDensityBuffers();
+  });
+  drawStatsPanel(getDensityStatistics(triangleDensity), getMeshQuality(sim.triangle), SLIVER_ANGLE);
 
   // ====================================
   // Draw scene
   // ====================================
+  // the time between frames and the time spent in a frame, averaged over the last frames
+  const frameTimeReadout = document.getElementById("frame-time");
+  const rendererName = isWebGL2 ? "WebGL2, instanced glyphs" : "WebGL1, points";
+  let averageFrameTime = 0;
+  let averageWorkTime = 0;
+
   let then = 0;
   function render(now) {
-    // calculate movements
-    let movement = calculateMovements(keyboardEvents, obstacle, maxX, minX, maxY, minY, minScale, maxScale, keyboardSensitivity, steps);
+    const workStart = performance.now();
+    // calculate movements of the selected obstacle or zone
+    const selected = getGizmoTarget();
+    let movement = false;
+    if (selected) {
+      const previousPose = { x: selected.x, y: selected.y, scale: selected.scale, rotation: selected.rotation };
+      const { maxX, minX, maxY, minY } = sim.bounds;
+      movement = calculateMovements(keyboardEvents, selected, maxX, minX, maxY, minY, minScale, maxScale, keyboardSensitivity, steps);
+
+      // obstacles are not allowed to overlap, so undo a movement that would make them
+      if (movement && selectedZoneIndex === -1 && sim.obstacles.some((other, i) => i !== selectedObstacleIndex && obstaclesOverlap(selected, other))) {
+        Object.assign(selected, previousPose);
+        movement = false;
+      }
+      // zones are not part of the mesh, a moved zone only changes where people go
+      if (movement && selectedZoneIndex !== -1) {
+        pathsDirty = true;
+        movement = false;
+      }
+      if (keyboardSnapshot && Object.keys(previousPose).some(key => selected[key] !== previousPose[key])) {
+        recordHistory(keyboardSnapshot);
+        keyboardSnapshot = null;
+      }
+    }
+
+    let lag = now - then;
+
+    // a gizmo drag moves the obstacle on every mouse event, but retriangulates only every now and then
+    timeSinceGizmoRetriangulation += lag / 1000;
+    if (gizmoMoved && (!gizmoDrag || timeSinceGizmoRetriangulation >= GIZMO_RETRIANGULATION_INTERVAL)) {
+      gizmoMoved = false;
+      timeSinceGizmoRetriangulation = 0;
+      movement = true;
+    }
+
+    // plan paths again when the scene changed, and every now and then while people walk
+    const dt = Math.min(lag / 1000, MAX_SIMULATION_STEP);
+    if (isSimulating) {
+      timeSinceReplan += dt;
+    }
+    const hasGoals = goals.length > 0 || sim.zones.some(zone => zone.type === 'exit');
+    if (hasGoals && (pathsDirty || timeSinceReplan > PATH_REPLAN_INTERVAL)) {
+      replanPaths();
+    } else if (!hasGoals && navigation.paths.length > 0) {
+      navigation = { paths: [], waypoints: [] };
+    }
+
+    // let the crowd walk, the dragged person is held by the mouse
+    if (isSimulating) {
+      const held = isDragging ? [sim.people[draggedPointIndex * 2], sim.people[draggedPointIndex * 2 + 1]] : null;
+      const targets = hasGoals ? getNavigationTargets(navigation, sim.people, WAYPOINT_RADIUS) : null;
+      stepCrowd(sim.people, agents, sim.obstacles, sim.bounds, dt, targets);
+      if (held) {
+        sim.people[draggedPointIndex * 2] = held[0];
+        sim.people[draggedPointIndex * 2 + 1] = held[1];
+        agents.velocities[draggedPointIndex * 2] = 0;
+        agents.velocities[draggedPointIndex * 2 + 1] = 0;
+      }
+
+      // people leave through the exit zones and arrive from the spawn zones, up to the largest population of the slider.
+      // the per-person state of the people who left is removed alongside, new people get theirs from syncAgents
+      const { removed } = stepZones(sim, dt, Number(document.getElementById("people").max));
+      if (removed.length > 0) {
+        agents.velocities = removeIndices(agents.velocities, removed, 2);
+        agents.preferredSpeeds = removeIndices(agents.preferredSpeeds, removed);
+        navigation = { paths: removeIndices(navigation.paths, removed), waypoints: removeIndices(navigation.waypoints, removed) };
+        if (isDragging && removed.includes(draggedPointIndex)) {
+          isDragging = false;
+          draggedPointIndex = -1;
+        } else if (isDragging) {
+          draggedPointIndex -= removed.filter(index => index < draggedPointIndex).length;
+        }
+      }
+    }
 
     if (movement) {
       // if there was a movement, update the people and dot positions to remove collisions
-      update(); // retiangulate since obstacle moved
+      updateSimulation(sim); // retiangulate since obstacle moved
+    } else if (isSimulating) {
+      updateSimulation(sim, false); // people moved, so the densities changed but the mesh did not
     }
 
-    let lag = now - then;
-    d.innerText = `x: ${Math.round(obstacle.x)}, y: ${Math.round(obstacle.y)}, scale: ${Math.round(obstacle.scale * 100)}%, rotation: ${obstacle.rotation}, lag: ${Math.round(lag)}ms`;
+    d.innerText = selected
+      ? `x: ${Math.round(selected.x)}, y: ${Math.round(selected.y)}, scale: ${Math.round(selected.scale * 100)}%, rotation: ${Math.round(selected.rotation)}, lag: ${Math.round(lag)}ms`
+      : `nothing selected, lag: ${Math.round(lag)}ms`;
 
     // clear the canvas before we start drawing on it.
     gl.clearColor(1.0, 1.0, 1.0, 1.0); // set background to white
     gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.useProgram(shaderProgram);
+    gl.uniform1f(obstacleProgramInfo.uniformLocations.pointSize, DOT_SIZE * (canvas.height / 200.0)); // make size of point depend on canvas size
 
     // draw the elements
-    drawObject(gl, triangleProgramInfo, overPopulatedTriangleBuffers, mat4.create(), overPopulatedTriangles.indices.length, [gl.TRIANGLES], projectionMatrix);
-    drawObject(gl, triangleProgramInfo, correctPopulatedTriangleBuffers, mat4.create(), correctPopulatedTriangles.indices.length, [gl.TRIANGLES], projectionMatrix);
-    drawObject(gl, triangleProgramInfo, underPopulatedTriangleBuffers, mat4.create(), underPopulatedTriangles.indices.length, [gl.TRIANGLES], projectionMatrix);
+    drawObject(gl, triangleProgramInfo, densityBuffers, mat4.create(), densityBuffers.vertexCount, [gl.TRIANGLES], projectionMatrix);
     drawObject(gl, lineProgramInfo, lineBuffers, mat4.create(), lines.indices.length, [gl.LINES], projectionMatrix);
-    drawObject(gl, obstacleProgramInfo, obstacleBuffers, getTransformMatrix(obstacle.x, obstacle.y, obstacle.scale, obstacle.rotation), obstacle.vertexCount, [gl.TRIANGLES], projectionMatrix);
-    drawObject(gl, dotProgramInfo, dotBuffers, mat4.create(), dots.length / 2, [gl.POINTS], projectionMatrix);
-    drawObject(gl, peopleProgramInfo, peopleBuffers, mat4.create(), people.length / 2, [gl.POINTS], projectionMatrix);
+    sim.obstacles.forEach((obstacle, index) => {
+      drawObject(gl, obstacleProgramInfo, obstacleBuffers[index], getTransformMatrix(obstacle.x, obstacle.y, obstacle.scale, obstacle.rotation), obstacleBuffers[index].vertexCount, [gl.TRIANGLES], projectionMatrix);
+    });
+    sim.zones.forEach((zone, index) => {
+      drawObject(gl, obstacleProgramInfo, zoneBuffers[index], getTransformMatrix(zone.x, zone.y, zone.scale, zone.rotation), zoneBuffers[index].vertexCount, [gl.TRIANGLES], projectionMatrix);
+    });
+    if (selected && editMode === 'none') {
+      updateGizmoBuffers(selected);
+      drawObject(gl, lineProgramInfo, gizmoLineBuffers, mat4.create(), gizmoLines.length / 2, [gl.LINES], projectionMatrix);
+      drawObject(gl, lineProgramInfo, gizmoHandleBuffers, mat4.create(), gizmoHandles.length / 2, [gl.POINTS], projectionMatrix);
+    }
+    if (obstacleDraft.length > 0) {
+      drawObject(gl, lineProgramInfo, draftBuffers, mat4.create(), obstacleDraft.length, [gl.LINE_STRIP, gl.POINTS], projectionMatrix);
+    }
+    drawPoints(dotProgramInfo, dotBuffers, sim.dots.length / 2);
+    if (showPaths) {
+      pathLines = getPathLines(navigation, sim.people);
+      updateBuffer(gl, gl.ARRAY_BUFFER, pathBuffers.position, new Float32Array(pathLines), gl.DYNAMIC_DRAW);
+      updateBuffer(gl, gl.ARRAY_BUFFER, pathBuffers.color, new Float32Array(generateUniformColors(pathLines.length / 2, PATH_COLOR)), gl.DYNAMIC_DRAW);
+      drawObject(gl, lineProgramInfo, pathBuffers, mat4.create(), pathLines.length / 2, [gl.LINES], projectionMatrix);
+    }
+    drawPoints(peopleProgramInfo, peopleBuffers, sim.people.length / 2);
+    drawObject(gl, dotProgramInfo, goalBuffers, mat4.create(), goals.length / 2, [gl.POINTS], projectionMatrix);
+    drawObject(gl, lineProgramInfo, brokenEditBuffers, mat4.create(), brokenEditLines.length / 2, [gl.LINES], projectionMatrix);
+    if (inspection) {
+      updateInspectionBuffers(); // the rings keep their size on screen while zooming
+      drawObject(gl, lineProgramInfo, inspectionBuffers, mat4.create(), inspectionLines.length / 2, [gl.LINES], projectionMatrix);
+    }
+    if (now < flashUntil && Math.floor(now / 150) % 2 === 0) {
+      drawObject(gl, lineProgramInfo, flashBuffers, mat4.create(), flashLines.length / 2, [gl.LINES], projectionMatrix);
+    }
+    updateRecording(now);
 
+    if (then > 0) {
+      averageFrameTime += (lag - averageFrameTime) * FRAME_TIME_SMOOTHING;
+      averageWorkTime += (performance.now() - workStart - averageWorkTime) * FRAME_TIME_SMOOTHING;
+      frameTimeReadout.innerText = `Frame: ${averageFrameTime.toFixed(1)} ms (${Math.round(1000 / averageFrameTime)} fps), work: ${averageWorkTime.toFixed(1)} ms, ${NUMBER_OF_PEOPLE} people, ${rendererName}`;
+    }
     then = now;
     requestAnimationFrame(render);
   }
@@ -469,6 +1725,4 @@ function main() {
   requestAnimationFrame(render);
 }
 
-main();
-
-export { PEOPLE_COLOR, DOT_COLOR };
\ No newline at end of file
+main();
\ No newline at end of file
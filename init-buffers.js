@@ -25,7 +25,7 @@ function initBuffers(gl, { positions, colors, indices, positionUsage = gl.STATIC
     if (indices) {
         indexBuffer = gl.createBuffer();
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint32Array(indices), gl.STATIC_DRAW);
     }
 
     return {
@@ -35,6 +35,38 @@ function initBuffers(gl, { positions, colors, indices, positionUsage = gl.STATIC
     };
 }
 
+/**
+ * Creates the buffers of instanced glyphs, drawn with drawGlyphs: a quad shared by every
+ * glyph, and a position, color and radius per glyph.
+ * @param {WebGL2RenderingContext} gl The WebGL2 context.
+ * @param {object} data The data for the buffers.
+ * @param {Array<Number>} data.positions The glyph centres [x1, y1, x2, y2, ...].
+ * @param {Array<Number>} data.colors The RGBA color of every glyph.
+ * @param {Array<Number>} data.radii The radius of every glyph, in canvas units.
+ * @returns {{corner: WebGLBuffer, position: WebGLBuffer, color: WebGLBuffer, radius: WebGLBuffer}}
+ */
+function initGlyphBuffers(gl, { positions, colors, radii }) {
+    // --- Quad Buffer ---
+    const cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW); // a triangle strip
+
+    // --- Instance Buffers ---
+    const [positionBuffer, colorBuffer, radiusBuffer] = [positions, colors, radii].map(data => {
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(data), gl.DYNAMIC_DRAW);
+        return buffer;
+    });
+
+    return {
+        corner: cornerBuffer,
+        position: positionBuffer,
+        color: colorBuffer,
+        radius: radiusBuffer,
+    };
+}
+
 /**
  * Generates a color array for a given number of vertices, all with the same color.
  * @param {Number} numVertices The number of vertices.
@@ -49,4 +81,17 @@ function generateUniformColors(numVertices, color) {
     return colors;
 }
 
-export { initBuffers, generateUniformColors };
\ No newline at end of file
+/**
+ * Deletes every WebGL buffer in a buffer set created by initBuffers.
+ * @param {WebGLRenderingContext} gl The WebGL context.
+ * @param {{position: WebGLBuffer, color: WebGLBuffer, indices: WebGLBuffer|null}} buffers The buffers to delete.
+ */
+function deleteBuffers(gl, buffers) {
+    gl.deleteBuffer(buffers.position);
+    gl.deleteBuffer(buffers.color);
+    if (buffers.indices) {
+        gl.deleteBuffer(buffers.indices);
+    }
+}
+
+export { initBuffers, initGlyphBuffers, generateUniformColors, deleteBuffers };
\ No newline at end of file
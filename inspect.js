@@ -0,0 +1,162 @@
+import { findClosestEdge, getTriangleAreas } from "./math.js";
+import { locatePointInGrid } from "./spatial-index.js";
+
+/**
+ * Hover inspection: finds the person, dot or triangle under the cursor, describes it for the
+ * tooltip and outlines it. People come first, then dots, then the triangle under the cursor,
+ * the same order in which a click picks them.
+ */
+
+const HIGHLIGHT_RADIUS = 8; // in pixels, the ring drawn around a hovered person or dot
+const HIGHLIGHT_SEGMENTS = 12;
+const CATEGORY_NAMES = { red: "overpopulated", orange: "correctly populated", blue: "underpopulated" };
+
+/**
+ * Finds the point closest to a position, if it is close enough.
+ * @param {Array<Number>} points A flat array of point positions [x1, y1, x2, y2, ...]
+ * @param {{x: Number, y: Number}} position The world position
+ * @param {Number} radius How close the point has to be, in world units
+ * @param {Number} [count] Only the first `count` points are considered, all of them by default
+ * @returns {Number} The index of the closest point, or -1 if none is within the radius
+ */
+function pickPoint(points, position, radius, count = points.length / 2) {
+    let closestDistSq = Infinity;
+    let pickedIndex = -1;
+    for (let i = 0; i < count; i++) {
+        const dx = position.x - points[i * 2];
+        const dy = position.y - points[i * 2 + 1];
+        const distSq = dx * dx + dy * dy;
+        if (distSq < radius * radius && distSq < closestDistSq) {
+            closestDistSq = distSq;
+            pickedIndex = i;
+        }
+    }
+    return pickedIndex;
+}
+
+/**
+ * Finds the triangles using a vertex.
+ * @param {Array<Number>} indices A flat array of triangle indices
+ * @param {Number} vertex The vertex index
+ * @returns {Array<Number>} The indices of the triangles
+ */
+function getIncidentTriangles(indices, vertex) {
+    const triangles = [];
+    for (let i = 0; i < indices.length; i += 3) {
+        if (indices[i] === vertex || indices[i + 1] === vertex || indices[i + 2] === vertex) {
+            triangles.push(i / 3);
+        }
+    }
+    return triangles;
+}
+
+/**
+ * Inspects whatever lies under a position.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Object} density The density of the current mesh, from getDensity
+ * @param {Object} grid The grid of the current mesh, from buildTriangleGrid
+ * @param {{x: Number, y: Number}} position The world position of the cursor
+ * @param {Number} radius How close a person, dot or edge has to be, in world units
+ * @returns {{type: 'person', index: Number, triangle: Number}
+ * |{type: 'dot', index: Number, triangles: Array<Number>}
+ * |{type: 'triangle', index: Number, vertices: Array<Number>, area: Number, people: Number, category: String, threshold: String, edge: Array<Number>|null}
+ * |null} The person and the triangle it is in, the dot and its incident triangles, or the triangle with its
+ * area in square meters, people count, density category, the threshold it is judged against and the edge near
+ * the cursor; null outside the mesh
+ */
+function inspectAt(sim, density, grid, position, radius) {
+    const { vertices, indices } = sim.triangle;
+    const person = pickPoint(sim.people, position, radius);
+    if (person !== -1) {
+        return { type: 'person', index: person, triangle: locatePointInGrid(grid, sim.triangle, sim.people[person * 2], sim.people[person * 2 + 1]) };
+    }
+    const dot = pickPoint(vertices, position, radius, sim.dots.length / 2);
+    if (dot !== -1) {
+        return { type: 'dot', index: dot, triangles: getIncidentTriangles(indices, dot) };
+    }
+    const triangle = locatePointInGrid(grid, sim.triangle, position.x, position.y);
+    if (triangle === -1) {
+        return null;
+    }
+    const corners = indices.slice(triangle * 3, triangle * 3 + 3);
+    const closest = findClosestEdge(position, vertices, corners);
+    const { metric, threshold, areaThreshold, metersPerUnit } = sim.density;
+    return {
+        type: 'triangle',
+        index: triangle,
+        vertices: corners,
+        area: getTriangleAreas({ vertices, indices: corners }, metersPerUnit)[0],
+        people: density.counts[triangle],
+        category: density.categories[triangle],
+        threshold: metric === 'area' ? `${areaThreshold} people/m²` : `${threshold} people`,
+        edge: closest && closest.distance < radius ? closest.edge : null,
+    };
+}
+
+/**
+ * Writes the tooltip of an inspection.
+ * @param {Object} inspection The result of inspectAt
+ * @returns {String} The tooltip text, one fact per line
+ */
+function describeInspection(inspection) {
+    if (inspection.type === 'person') {
+        const triangle = inspection.triangle === -1 ? "outside the mesh" : `in triangle ${inspection.triangle}`;
+        return `Person ${inspection.index}\n${triangle}`;
+    }
+    if (inspection.type === 'dot') {
+        return `Dot ${inspection.index}\n${inspection.triangles.length} incident triangles`;
+    }
+    const lines = [
+        `Triangle ${inspection.index}`,
+        `Vertices: ${inspection.vertices.join(", ")}`,
+        `Area: ${inspection.area.toFixed(2)} m²`,
+        `People: ${inspection.people}`,
+        `${CATEGORY_NAMES[inspection.category]} (threshold ${inspection.threshold})`,
+    ];
+    if (inspection.edge) {
+        lines.push(`Edge: ${inspection.edge.join(" - ")}`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Gets the outlines that highlight an inspection: a ring around a person or dot, and the
+ * outlines of the triangles it belongs to.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Object} inspection The result of inspectAt
+ * @param {Number} worldPerPixel The size of a canvas pixel in world units
+ * @returns {Array<Number>} Line segments [x1, y1, x2, y2, ...], two points per segment
+ */
+function getInspectionLines(sim, inspection, worldPerPixel) {
+    const { vertices, indices } = sim.triangle;
+    const lines = [];
+    const outline = (t) => {
+        const corners = indices.slice(t * 3, t * 3 + 3);
+        corners.forEach((v, i) => {
+            const w = corners[(i + 1) % 3];
+            lines.push(vertices[v * 2], vertices[v * 2 + 1], vertices[w * 2], vertices[w * 2 + 1]);
+        });
+    };
+    const ring = (x, y) => {
+        const radius = HIGHLIGHT_RADIUS * worldPerPixel;
+        for (let i = 0; i < HIGHLIGHT_SEGMENTS; i++) {
+            const [a, b] = [i, i + 1].map(k => k / HIGHLIGHT_SEGMENTS * 2 * Math.PI);
+            lines.push(x + Math.cos(a) * radius, y + Math.sin(a) * radius, x + Math.cos(b) * radius, y + Math.sin(b) * radius);
+        }
+    };
+
+    if (inspection.type === 'person') {
+        ring(sim.people[inspection.index * 2], sim.people[inspection.index * 2 + 1]);
+        if (inspection.triangle !== -1) {
+            outline(inspection.triangle);
+        }
+    } else if (inspection.type === 'dot') {
+        ring(vertices[inspection.index * 2], vertices[inspection.index * 2 + 1]);
+        inspection.triangles.forEach(outline);
+    } else {
+        outline(inspection.index);
+    }
+    return lines;
+}
+
+export { pickPoint, getIncidentTriangles, inspectAt, describeInspection, getInspectionLines };
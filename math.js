@@ -1,141 +1,387 @@
-import { updateBuffer } from "./gl-utility.js";
-import { generateUniformColors } from "./init-buffers.js";
-import { PEOPLE_COLOR, DOT_COLOR } from "./index.js";
+import { assignPointsToTriangles } from "./spatial-index.js";
+import { random } from "./random.js";
+import { createHeatmapScale, getHeatmapColor } from "./color-ramp.js";
 
 /**
- * Calculates the four corner vertices of a rectangular obstacle based on its properties.
+ * The cdt2d library used by every triangulation. The browser loads it as a global from a
+ * script tag, Node scripts pass the module to setCdt2d instead.
+ */
+let cdt2dLibrary = null;
+
+/**
+ * Sets the cdt2d library used by every triangulation.
+ * @param {Function} library The cdt2d function, e.g. require("cdt2d") in Node
+ */
+function setCdt2d(library) {
+    cdt2dLibrary = library;
+}
+
+/**
+ * Gets the cdt2d library set with setCdt2d, or else the global one.
+ * @returns {Function} The cdt2d function
+ * @throws {Error} if the cdt2d library is not available.
+ */
+function getCdt2d() {
+    const library = cdt2dLibrary ?? globalThis.cdt2d;
+    if (typeof library !== 'function') {
+        throw new Error('The "cdt2d" library is not loaded, load it globally or pass it to setCdt2d.');
+    }
+    return library;
+}
+
+/**
+ * Calculates the world-space vertices of a polygon obstacle based on its properties.
+ * The local shape is scaled, rotated around the obstacle centre and then translated.
  * @param {Object} obstacle The obstacle object
- * @returns array of the 4 corner vertices of the obstacle [[x1,y1], [x2,y2], [x3,y3], [x4,y4]]
+ * @returns array of the N vertices of the obstacle [[x1,y1], [x2,y2], ...], in the same order as obstacle.shape
  */
 function getObstacleCorners(obstacle) {
-    // calculate the true rotated corner positions
-    const halfLength = (obstacle.length * obstacle.scale) / 2;
-    const halfWidth = (obstacle.width * obstacle.scale) / 2;
     const angleRad = obstacle.rotation * Math.PI / 180;
     const cosAngle = Math.cos(angleRad);
     const sinAngle = Math.sin(angleRad);
 
-    const localCorners = [
-        [-halfLength, -halfWidth], // local top-left
-        [halfLength, -halfWidth],  // local top-right
-        [halfLength, halfWidth],   // local bottom-right
-        [-halfLength, halfWidth]   // local bottom-left
-    ];
-
-    const obstacleVertices = localCorners.map(p => {
-        const rotatedX = p[0] * cosAngle - p[1] * sinAngle;
-        const rotatedY = p[0] * sinAngle + p[1] * cosAngle;
+    return obstacle.shape.map(p => {
+        const scaledX = p[0] * obstacle.scale;
+        const scaledY = p[1] * obstacle.scale;
+        const rotatedX = scaledX * cosAngle - scaledY * sinAngle;
+        const rotatedY = scaledX * sinAngle + scaledY * cosAngle;
         return [rotatedX + obstacle.x, rotatedY + obstacle.y];
     });
+}
 
-    return obstacleVertices;
+/**
+ * Creates a new polygon obstacle centred at the given position.
+ * @param {Number} x The center x-coordinate of the obstacle
+ * @param {Number} y The center y-coordinate of the obstacle
+ * @param {Array<Array<Number>>} shape The unscaled local vertices of a simple polygon [[x1,y1], [x2,y2], ...], centred on (0, 0)
+ * @param {Number} scale The initial scale factor of the obstacle
+ * @returns {Object} The obstacle object
+ */
+function createObstacle(x, y, shape, scale = 1) {
+    return {
+        x: x,
+        y: y,
+        scale: scale,
+        rotation: 0,
+        shape: shape,
+    };
 }
 
 /**
- * This function removes people and dots that collide with a given obstacle position and adds them back within the defined boundaries.
- * @param {p1: Array<Number>, p2: Array<Number>, p3: Array<Number>, p4: Array<Number>, } obstacle The obstacle's position
- * @param {Array<Number>} people The array of people positions [x1, y1, x2, y2, ...]
- * @param {Array<Number>} dots The array of dot positions [x1, y1, x2, y2, ...]
- * @param {maxX: Number, minX: Number, maxY: Number, minY: Number} bounds The boundary limits
- * @returns {people: Array<Number>, dots: Array<Number>} The updated array of dots and people positions
+ * Creates the local vertices of a rectangle centred on (0, 0).
+ * @param {Number} length The x extent of the rectangle
+ * @param {Number} width The y extent of the rectangle
+ * @returns {Array<Array<Number>>} The 4 vertices in counter-clockwise order
  */
-function updateCollisions(obstacle, people, dots, bounds, NUMBER_OF_DOTS, NUMBER_OF_PEOPLE) {
-    const { maxX, minX, maxY, minY } = bounds;
+function createRectangleShape(length, width) {
+    const halfLength = length / 2;
+    const halfWidth = width / 2;
+    return [
+        [-halfLength, -halfWidth],
+        [halfLength, -halfWidth],
+        [halfLength, halfWidth],
+        [-halfLength, halfWidth],
+    ];
+}
 
-    function isColliding(x, y) {
-        const translatedX = x - obstacle.x;
-        const translatedY = y - obstacle.y;
+/**
+ * Creates the local vertices of a star (or, with innerRadius equal to outerRadius, a regular polygon) centred on (0, 0).
+ * @param {Number} points The number of outer points
+ * @param {Number} outerRadius The radius of the outer points
+ * @param {Number} innerRadius The radius of the inner points
+ * @returns {Array<Array<Number>>} The vertices in counter-clockwise order
+ */
+function createStarShape(points, outerRadius, innerRadius) {
+    const shape = [];
+    const steps = innerRadius === outerRadius ? points : points * 2;
+    for (let i = 0; i < steps; i++) {
+        const radius = i % 2 === 0 || steps === points ? outerRadius : innerRadius;
+        const angle = Math.PI / 2 + (i * 2 * Math.PI) / steps;
+        shape.push([radius * Math.cos(angle), radius * Math.sin(angle)]);
+    }
+    return shape;
+}
 
-        // rotate the point backwards by the obstacle's rotation angle.
-        const angleRad = -obstacle.rotation * Math.PI / 180; // Negative angle
-        const cosAngle = Math.cos(angleRad);
-        const sinAngle = Math.sin(angleRad);
+/**
+ * Calculates the signed area of a polygon. Positive means counter-clockwise.
+ * @param {Array<Array<Number>>} polygon The polygon vertices [[x1,y1], [x2,y2], ...]
+ * @returns {Number} The signed area
+ */
+function getPolygonSignedArea(polygon) {
+    let area = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const [x1, y1] = polygon[i];
+        const [x2, y2] = polygon[(i + 1) % polygon.length];
+        area += x1 * y2 - x2 * y1;
+    }
+    return area / 2;
+}
 
-        const rotatedX = translatedX * cosAngle - translatedY * sinAngle;
-        const rotatedY = translatedX * sinAngle + translatedY * cosAngle;
+/**
+ * Checks whether a polygon is simple, i.e. it has at least 3 vertices, a non-zero area
+ * and no two of its edges cross each other.
+ * @param {Array<Array<Number>>} polygon The polygon vertices [[x1,y1], [x2,y2], ...]
+ * @returns {boolean} True if the polygon is simple
+ */
+function isSimplePolygon(polygon) {
+    const n = polygon.length;
+    if (n < 3 || Math.abs(getPolygonSignedArea(polygon)) < 1e-9) {
+        return false;
+    }
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            // adjacent edges share a vertex and cannot properly cross
+            if (j === i + 1 || (i === 0 && j === n - 1)) continue;
+            if (segmentsIntersect(polygon[i], polygon[(i + 1) % n], polygon[j], polygon[(j + 1) % n])) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
 
-        // perform a simple AABB check in the obstacle's local, unrotated space.
-        const halfLength = (obstacle.length * obstacle.scale) / 2;
-        const halfWidth = (obstacle.width * obstacle.scale) / 2;
+/**
+ * Converts a polygon drawn in world space into an obstacle. The shape is re-centred on its
+ * centroid so that the obstacle rotates and scales around its middle, and made counter-clockwise.
+ * @param {Array<Array<Number>>} polygon The world-space polygon vertices [[x1,y1], [x2,y2], ...]
+ * @returns {Object} The obstacle object
+ */
+function createObstacleFromPolygon(polygon) {
+    // area-weighted centroid of the polygon
+    const area = getPolygonSignedArea(polygon);
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const [x1, y1] = polygon[i];
+        const [x2, y2] = polygon[(i + 1) % polygon.length];
+        const cross = x1 * y2 - x2 * y1;
+        cx += (x1 + x2) * cross;
+        cy += (y1 + y2) * cross;
+    }
+    cx /= 6 * area;
+    cy /= 6 * area;
 
-        return (rotatedX >= -halfLength && rotatedX <= halfLength &&
-            rotatedY >= -halfWidth && rotatedY <= halfWidth);
+    const shape = polygon.map(p => [p[0] - cx, p[1] - cy]);
+    if (area < 0) {
+        shape.reverse();
     }
+    return createObstacle(cx, cy, shape);
+}
 
-    // remove colliding people
-    let updatedPeople = [];
-    for (let i = 0; i < people.length; i += 2) {
-        const px = people[i];
-        const py = people[i + 1];
-        if (!isColliding(px, py)) {
-            updatedPeople.push(px, py);
+/**
+ * Triangulates the local shape of an obstacle, so it can be drawn with gl.TRIANGLES.
+ * Works for both convex and concave simple polygons.
+ * @param {Array<Array<Number>>} shape The polygon vertices [[x1,y1], [x2,y2], ...]
+ * @returns {Array<Number>} A flat array of triangle indices into the shape vertices
+ * @throws {Error} if the cdt2d library is not available.
+ */
+function triangulatePolygon(shape) {
+    const cdt2d = getCdt2d();
+
+    const constraints = shape.map((_, i) => [i, (i + 1) % shape.length]);
+    // only keep the triangles inside the boundary loop
+    return cdt2d(shape, constraints, { exterior: false }).flat();
+}
+
+/**
+ * Checks whether a point lies inside a polygon using the even-odd ray casting rule.
+ * @param {Number} x The x-coordinate of the point
+ * @param {Number} y The y-coordinate of the point
+ * @param {Array<Array<Number>>} polygon The polygon vertices [[x1,y1], [x2,y2], ...]
+ * @returns {boolean} True if the point is inside the polygon
+ */
+function isPointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
         }
     }
+    return inside;
+}
 
-    // remove colliding dots
-    let updatedDots = [];
-    for (let i = 0; i < dots.length; i += 2) {
-        const dx = dots[i];
-        const dy = dots[i + 1];
-        if (!isColliding(dx, dy)) {
-            updatedDots.push(dx, dy);
+/**
+ * Checks whether a point lies inside a single obstacle.
+ * @param {Object} obstacle The obstacle object
+ * @param {Number} x The x-coordinate of the point
+ * @param {Number} y The y-coordinate of the point
+ * @returns {boolean} True if the point is inside the obstacle
+ */
+function isPointInObstacle(obstacle, x, y) {
+    const translatedX = x - obstacle.x;
+    const translatedY = y - obstacle.y;
+
+    // rotate the point backwards by the obstacle's rotation angle.
+    const angleRad = -obstacle.rotation * Math.PI / 180; // Negative angle
+    const cosAngle = Math.cos(angleRad);
+    const sinAngle = Math.sin(angleRad);
+
+    const rotatedX = translatedX * cosAngle - translatedY * sinAngle;
+    const rotatedY = translatedX * sinAngle + translatedY * cosAngle;
+
+    // undo the scale and test against the shape in the obstacle's local space.
+    return isPointInPolygon(rotatedX / obstacle.scale, rotatedY / obstacle.scale, obstacle.shape);
+}
+
+/**
+ * Checks whether a point lies inside any of the given obstacles.
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {Number} x The x-coordinate of the point
+ * @param {Number} y The y-coordinate of the point
+ * @returns {boolean} True if the point is inside at least one obstacle
+ */
+function isPointInAnyObstacle(obstacles, x, y) {
+    return obstacles.some(obstacle => isPointInObstacle(obstacle, x, y));
+}
+
+/**
+ * Finds the index of the obstacle containing a point. Later obstacles are drawn on top,
+ * so they are checked first.
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {Number} x The x-coordinate of the point
+ * @param {Number} y The y-coordinate of the point
+ * @returns {Number} The index of the obstacle, or -1 if the point is not inside any obstacle
+ */
+function findObstacleAt(obstacles, x, y) {
+    for (let i = obstacles.length - 1; i >= 0; i--) {
+        if (isPointInObstacle(obstacles[i], x, y)) {
+            return i;
         }
     }
+    return -1;
+}
+
+/**
+ * Checks whether two segments properly intersect (touching endpoints do not count).
+ * @param {Array<Number>} a1 Start of the first segment [x, y]
+ * @param {Array<Number>} a2 End of the first segment [x, y]
+ * @param {Array<Number>} b1 Start of the second segment [x, y]
+ * @param {Array<Number>} b2 End of the second segment [x, y]
+ * @returns {boolean} True if the segments cross each other
+ */
+function segmentsIntersect(a1, a2, b1, b2) {
+    const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+    const d1 = cross(b1, b2, a1);
+    const d2 = cross(b1, b2, a2);
+    const d3 = cross(a1, a2, b1);
+    const d4 = cross(a1, a2, b2);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+        ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
 
-    // calculate how many people and dots were removed
-    const peopleRemoved = NUMBER_OF_PEOPLE - (updatedPeople.length / 2);
-    const dotsRemoved = NUMBER_OF_DOTS - (updatedDots.length / 2);
+/**
+ * Checks whether two obstacles overlap. Overlapping obstacles would give cdt2d
+ * crossing constraint edges, so the scene never allows them.
+ * @param {Object} a The first obstacle
+ * @param {Object} b The second obstacle
+ * @returns {boolean} True if the obstacles overlap
+ */
+function obstaclesOverlap(a, b) {
+    const cornersA = getObstacleCorners(a);
+    const cornersB = getObstacleCorners(b);
 
-    // add new people at random positions within the bounds
-    for (let i = 0; i < peopleRemoved; i++) {
-        const newPos = createNewPosition(obstacle, minX, maxX, minY, maxY);
-        updatedPeople.push(newPos.x, newPos.y);
+    // one obstacle has a corner inside the other
+    if (cornersA.some(p => isPointInObstacle(b, p[0], p[1])) || cornersB.some(p => isPointInObstacle(a, p[0], p[1]))) {
+        return true;
     }
 
-    // add new dots at random positions within the bounds
-    for (let i = 0; i < dotsRemoved; i++) {
-        const newPos = createNewPosition(obstacle, minX, maxX, minY, maxY);
-        updatedDots.push(newPos.x, newPos.y);
+    // edges cross without any corner being inside (e.g. a cross shape)
+    for (let i = 0; i < cornersA.length; i++) {
+        const a1 = cornersA[i];
+        const a2 = cornersA[(i + 1) % cornersA.length];
+        for (let j = 0; j < cornersB.length; j++) {
+            if (segmentsIntersect(a1, a2, cornersB[j], cornersB[(j + 1) % cornersB.length])) {
+                return true;
+            }
+        }
     }
+    return false;
+}
+
+/**
+ * Finds a corner of an obstacle outside the world bounds. Clamping an obstacle to the bounds
+ * can leave a corner a rounding error outside, which is tolerated.
+ * @param {Object} obstacle The obstacle, or a zone placed like one
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @returns {Number} The index of the first corner outside the bounds, or -1 if every corner is inside
+ */
+function findCornerOutsideBounds(obstacle, bounds) {
+    const tolerance = 1e-6;
+    return getObstacleCorners(obstacle).findIndex(([x, y]) =>
+        x < bounds.minX - tolerance || x > bounds.maxX + tolerance || y < bounds.minY - tolerance || y > bounds.maxY + tolerance);
+}
+
+/**
+ * This function moves people and dots that collide with any of the obstacles to new random positions within the defined boundaries.
+ * Colliding points are replaced in place, so the index of every person and dot stays the same
+ * (the per-person motion state relies on this).
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {Array<Number>} people The array of people positions [x1, y1, x2, y2, ...]
+ * @param {Array<Number>} dots The array of dot positions [x1, y1, x2, y2, ...]
+ * @param {maxX: Number, minX: Number, maxY: Number, minY: Number} bounds The boundary limits
+ * @param {function(): ({x: Number, y: Number}|null)} [createPersonPosition=null] Optional: where displaced people go
+ * instead of a uniformly random position, for example into a spawn zone; when it returns null the position is uniform
+ * @returns {{people: Array<Number>, dots: Array<Number>, respawned: {people: Number, dots: Number}}} The updated array of dots
+ * and people positions, and how many of each were moved
+ */
+function updateCollisions(obstacles, people, dots, bounds, createPersonPosition = null) {
+    const { maxX, minX, maxY, minY } = bounds;
+    const respawned = { people: 0, dots: 0 };
+
+    const respawnColliding = (points, type) => {
+        const updatedPoints = points.slice();
+        for (let i = 0; i < updatedPoints.length; i += 2) {
+            if (isPointInAnyObstacle(obstacles, updatedPoints[i], updatedPoints[i + 1])) {
+                const newPos = (type === 'people' && createPersonPosition?.()) || createNewPosition(obstacles, minX, maxX, minY, maxY);
+                if (newPos) {
+                    updatedPoints[i] = newPos.x;
+                    updatedPoints[i + 1] = newPos.y;
+                    respawned[type]++;
+                }
+            }
+        }
+        return updatedPoints;
+    };
 
-    return { people: updatedPeople, dots: updatedDots };
+    return { people: respawnColliding(people, 'people'), dots: respawnColliding(dots, 'dots'), respawned };
 }
 
 /**
- * Generates a new position outside of a rectangular obstacle but within defined bounds.
- * @param {object} obstacle - The obstacle with p1 [minX, minY] and p3 [maxX, maxY] corners.
+ * Generates points uniformly at random within the bounds, using the shared seeded generator.
+ * @param {Number} count The number of points to generate
+ * @param {maxX: Number, minX: Number, maxY: Number, minY: Number} bounds The boundary limits
+ * @returns {Array<Number>} A flat array of point positions [x1, y1, x2, y2, ...]
+ */
+function generateRandomPoints(count, bounds) {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        points.push(random() * (bounds.maxX - bounds.minX) + bounds.minX, random() * (bounds.maxY - bounds.minY) + bounds.minY);
+    }
+    return points;
+}
+
+/**
+ * Generates a new position outside of every obstacle but within defined bounds.
+ * @param {Array<Object>} obstacles - The list of obstacles to avoid.
  * @param {number} minX - The minimum X boundary.
  * @param {number} maxX - The maximum X boundary.
  * @param {number} minY - The minimum Y boundary.
  * @param {number} maxY - The maximum Y boundary.
  * @returns {{x: number, y: number}|null} - The new position, or null if no space is available.
  */
-function createNewPosition(obstacle, minX, maxX, minY, maxY) {
+function createNewPosition(obstacles, minX, maxX, minY, maxY) {
     let newPos;
     let isColliding = true;
     let attempts = 0;
 
-    // A copy of the collision logic from above to use locally
-    const isPointColliding = (x, y) => {
-        const translatedX = x - obstacle.x;
-        const translatedY = y - obstacle.y;
-        const angleRad = -obstacle.rotation * Math.PI / 180;
-        const cosAngle = Math.cos(angleRad);
-        const sinAngle = Math.sin(angleRad);
-        const rotatedX = translatedX * cosAngle - translatedY * sinAngle;
-        const rotatedY = translatedX * sinAngle + translatedY * cosAngle;
-        const halfLength = (obstacle.length * obstacle.scale) / 2;
-        const halfWidth = (obstacle.width * obstacle.scale) / 2;
-        return (rotatedX >= -halfLength && rotatedX <= halfLength &&
-            rotatedY >= -halfWidth && rotatedY <= halfWidth);
-    };
-
     while (isColliding) {
         newPos = {
-            x: Math.random() * (maxX - minX) + minX,
-            y: Math.random() * (maxY - minY) + minY,
+            x: random() * (maxX - minX) + minX,
+            y: random() * (maxY - minY) + minY,
         };
-        isColliding = isPointColliding(newPos.x, newPos.y);
+        isColliding = isPointInAnyObstacle(obstacles, newPos.x, newPos.y);
 
         attempts++;
         if (attempts > 100) { // Safety break to prevent infinite loops
@@ -147,46 +393,58 @@ function createNewPosition(obstacle, minX, maxX, minY, maxY) {
 }
 
 /**
- * Triangulates a set of 2D points around a square obstacle, ensuring no triangle
- * edges pass through the obstacle. This is achieved by treating the obstacle's
- * edges as constraints.
+ * Triangulates a set of 2D points around a list of obstacles, ensuring no triangle
+ * edges pass through any obstacle. This is achieved by treating the edges of every
+ * obstacle as a separate constraint loop.
  *
- * @param {object} obstacle - The obstacle definition.
- * @param {number} obstacle.cx - The center x-coordinate of the obstacle.
- * @param {number} obstacle.cy - The center y-coordinate of the obstacle.
- * @param {number} obstacle.length - The length of the obstacle.
- * @param {number} obstacle.width - The width of the obstacle
- * @param {number} obstacle.scale - The scale factor for the obstacle.
+ * @param {Array<object>} obstacles - The obstacle definitions.
  * @param {number[]} flatPoints - A flat array of points in the format [x1, y1, x2, y2, ...].
+ * @param {Array<Array<number>>} extraConstraints - More edges [i, j] that must be in the triangulation,
+ * as indices into the points (the obstacle vertices follow the user points). They must not cross
+ * each other or an obstacle.
  * @returns {{vertices: number[], indices: number[]}} An object containing a flat array of
  * vertex coordinates (x1, y1, x2, y2, ...) and a flat array of triangle indices
  * (i1, i2, i3, i4, i5, i6, ...) suitable for rendering with APIs like OpenGL/WebGL.
+ * The obstacle vertices are appended after the user points, in obstacle order.
  * @throws {Error} if the cdt2d library is not available.
  */
-function triangulateWithObstacle(obstacle, flatPoints) {
-    if (typeof cdt2d === 'undefined') {
-        throw new Error('The "cdt2d" library is not loaded.');
-    }
+function triangulateWithObstacle(obstacles, flatPoints, extraConstraints = []) {
+    const cdt2d = getCdt2d();
 
     const userPoints = [];
     for (let i = 0; i < flatPoints.length; i += 2) {
         userPoints.push([flatPoints[i], flatPoints[i + 1]]);
     }
 
-    const obstacleVertices = getObstacleCorners(obstacle);
-
-    const allPoints = [...userPoints, ...obstacleVertices];
+    const allPoints = [...userPoints];
+    const constraints = [];
+
+    // constraints are the edges connecting the vertices of each obstacle, one loop per obstacle
+    obstacles.forEach(obstacle => {
+        const obstacleVertices = getObstacleCorners(obstacle);
+        const start = allPoints.length;
+        const count = obstacleVertices.length;
+        allPoints.push(...obstacleVertices);
+        for (let i = 0; i < count; i++) {
+            constraints.push([start + i, start + (i + 1) % count]);
+        }
+    });
 
-    // constraints are the edges connecting the new obstacle vertices
-    const userPointsCount = userPoints.length;
-    const constraints = [
-        [userPointsCount, userPointsCount + 1],
-        [userPointsCount + 1, userPointsCount + 2],
-        [userPointsCount + 2, userPointsCount + 3],
-        [userPointsCount + 3, userPointsCount]
-    ];
+    if (extraConstraints.length === 0) {
+        const triangles = cdt2d(allPoints, constraints, { interior: false });
+        return {
+            vertices: allPoints.flat(),
+            indices: triangles.flat()
+        };
+    }
 
-    const triangles = cdt2d(allPoints, constraints, { interior: false });
+    // cdt2d tells the inside of the obstacles apart by counting crossed constraint edges, which
+    // extra edges would break, so keep every triangle and drop the ones inside an obstacle instead
+    const triangles = cdt2d(allPoints, constraints.concat(extraConstraints)).filter(([a, b, c]) => {
+        const cx = (allPoints[a][0] + allPoints[b][0] + allPoints[c][0]) / 3;
+        const cy = (allPoints[a][1] + allPoints[b][1] + allPoints[c][1]) / 3;
+        return !isPointInAnyObstacle(obstacles, cx, cy);
+    });
 
     return {
         vertices: allPoints.flat(),
@@ -194,100 +452,101 @@ function triangulateWithObstacle(obstacle, flatPoints) {
     };
 }
 
+/**
+ * Counts how many people are inside each triangle of a triangulation. People are located
+ * through a uniform grid over the triangles, and every person is counted in exactly one
+ * triangle, even when it sits on an edge shared by two of them.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The complete triangulation data.
+ * @param {Array<Number>} people A flat array of people positions [x1, y1, x2, y2, ...].
+ * @returns {Array<Number>} The number of people in each triangle, in index buffer order.
+ */
+function countPeoplePerTriangle(triangleData, people) {
+    const counts = new Array(triangleData.indices.length / 3).fill(0);
+    const assignment = assignPointsToTriangles(triangleData, people);
+    for (let i = 0; i < assignment.length; i++) {
+        if (assignment[i] !== -1) {
+            counts[assignment[i]]++;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Puts a triangle into a density category by the number of people in it.
+ * @param {Number} peopleCount The number of people in the triangle
+ * @param {Number} densityThreshold The target number of people per triangle
+ * @returns {'red'|'orange'|'blue'} Overpopulated, correctly populated or underpopulated
+ */
+function getDensityCategory(peopleCount, densityThreshold) {
+    if (peopleCount > densityThreshold) {
+        return 'red';
+    } else if (peopleCount === densityThreshold) {
+        return 'orange';
+    }
+    return 'blue';
+}
+
+/**
+ * Calculates the area of every triangle of the mesh.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data
+ * @param {Number} metersPerUnit The length of one world unit in meters
+ * @returns {Array<Number>} The area of each triangle in square meters, in the order of the indices
+ */
+function getTriangleAreas(triangleData, metersPerUnit = 1) {
+    const { vertices, indices } = triangleData;
+    const areas = [];
+    for (let i = 0; i < indices.length; i += 3) {
+        const corners = [indices[i], indices[i + 1], indices[i + 2]].map(v => [vertices[v * 2], vertices[v * 2 + 1]]);
+        areas.push(Math.abs(getPolygonSignedArea(corners)) * metersPerUnit * metersPerUnit);
+    }
+    return areas;
+}
+
 /**
  * This function assigns a color to each triangle based on the density of people within it.
  * Triangles with a density above the specified threshold are colored red (overpopulated),
  * those with a density equal to the threshold are colored orange (correctly populated),
  * and those below are colored blue (underpopulated).
+ * With a color ramp, every triangle also gets a heatmap color from the number of people in it.
+ * With an area density, the threshold is in people per square meter instead: a triangle is
+ * correctly populated when it holds as many people as its area should hold at that density
+ * (rounded), and the heatmap shows people per square meter.
  *
  * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The complete triangulation data.
  * @param {Array<Number>} people A flat array of people positions [x1, y1, x2, y2, ...].
  * @param {Number} densityThreshold The target number of people per triangle.
+ * @param {String|null} [rampName=null] Optional: the color ramp of the heatmap, from color-ramp.js.
+ * @param {{threshold: Number, metersPerUnit: Number}|null} [areaDensity=null] Optional: classify by people per square meter.
  * @returns {{
- * red: {vertices: Array<Number>, indices: Array<Number>},
- * orange: {vertices: Array<Number>, indices: Array<Number>},
- * blue: {vertices: Array<Number>, indices: Array<Number>}
- * }} An object containing the separated geometry for each density color.
+ * counts: Array<Number>,
+ * values: Array<Number>,
+ * categories: Array<'red'|'orange'|'blue'>,
+ * colors?: Array<Number>,
+ * scale?: {ramp: String, threshold: Number, max: Number, wholeNumbers: boolean}
+ * }} An object containing the number of people, the density (people, or people per square meter), the category
+ * and the heatmap color [r1, g1, b1, a1, r2, ...] of every triangle in index buffer order, and the heatmap scale.
  */
-function getTriangleDensity(triangleData, people, densityThreshold) {
-    // Helper function to check if a point is inside a triangle using barycentric coordinates.
-    const isPointInTriangle = (px, py, v1x, v1y, v2x, v2y, v3x, v3y) => {
-        const d1 = (px - v2x) * (v1y - v2y) - (v1x - v2x) * (py - v2y);
-        const d2 = (px - v3x) * (v2y - v3y) - (v2x - v3x) * (py - v3y);
-        const d3 = (px - v1x) * (v3y - v1y) - (v3x - v1x) * (py - v1y);
-        const has_neg = (d1 < 0) || (d2 < 0) || (d3 < 0);
-        const has_pos = (d1 > 0) || (d2 > 0) || (d3 > 0);
-        return !(has_neg && has_pos);
-    };
+function getTriangleDensity(triangleData, people, densityThreshold, rampName = null, areaDensity = null) {
+    const counts = countPeoplePerTriangle(triangleData, people);
+    // the value the heatmap shows, and the number of people each triangle should hold
+    let values = counts;
+    let targets = counts.map(() => densityThreshold);
+    if (areaDensity) {
+        const areas = getTriangleAreas(triangleData, areaDensity.metersPerUnit);
+        values = counts.map((count, t) => areas[t] > 0 ? count / areas[t] : 0);
+        targets = areas.map(area => Math.round(areaDensity.threshold * area));
+    }
 
-    // Initialize output structure. We will create new, separate geometry for each color.
     const result = {
-        red: { vertices: [], indices: [] },    // Overpopulated
-        orange: { vertices: [], indices: [] }, // Correctly populated
-        blue: { vertices: [], indices: [] },  // Underpopulated
+        counts,
+        values,
+        categories: counts.map((count, t) => getDensityCategory(count, targets[t])),
     };
-
-    // To avoid duplicating vertex data, we use maps to track which vertices
-    // have already been added to each color's vertex list.
-    const vertexMaps = {
-        red: new Map(),
-        orange: new Map(),
-        blue: new Map(),
-    };
-
-    // 1. Iterate through each triangle defined in the index buffer.
-    for (let i = 0; i < triangleData.indices.length; i += 3) {
-        const i1 = triangleData.indices[i];
-        const i2 = triangleData.indices[i + 1];
-        const i3 = triangleData.indices[i + 2];
-
-        const v1x = triangleData.vertices[i1 * 2];
-        const v1y = triangleData.vertices[i1 * 2 + 1];
-        const v2x = triangleData.vertices[i2 * 2];
-        const v2y = triangleData.vertices[i2 * 2 + 1];
-        const v3x = triangleData.vertices[i3 * 2];
-        const v3y = triangleData.vertices[i3 * 2 + 1];
-
-        // 2. For the current triangle, count how many people are inside it.
-        let peopleCount = 0;
-        for (let j = 0; j < people.length; j += 2) {
-            const px = people[j];
-            const py = people[j + 1];
-            if (isPointInTriangle(px, py, v1x, v1y, v2x, v2y, v3x, v3y)) {
-                peopleCount++;
-            }
-        }
-
-        // 3. Categorize the triangle based on its population density.
-        let category;
-        if (peopleCount > densityThreshold) {
-            category = 'red';
-        } else if (peopleCount === densityThreshold) {
-            category = 'orange';
-        } else {
-            category = 'blue';
-        }
-
-        const target = result[category];
-        const vertexMap = vertexMaps[category];
-        const originalIndices = [i1, i2, i3];
-
-        // 4. Add the triangle's vertices and new indices to the correct category.
-        originalIndices.forEach(originalIndex => {
-            // If we haven't seen this vertex before for this color...
-            if (!vertexMap.has(originalIndex)) {
-                // ...add its position to the new vertex list...
-                const newIndex = target.vertices.length / 2;
-                target.vertices.push(
-                    triangleData.vertices[originalIndex * 2],
-                    triangleData.vertices[originalIndex * 2 + 1]
-                );
-                // ...and map the original index to its new index.
-                vertexMap.set(originalIndex, newIndex);
-            }
-            // Add the new index (for this color category) to the new index list.
-            target.indices.push(vertexMap.get(originalIndex));
-        });
+    if (rampName) {
+        result.scale = areaDensity
+            ? createHeatmapScale(values, areaDensity.threshold, rampName, false)
+            : createHeatmapScale(counts, densityThreshold, rampName);
+        result.colors = values.flatMap(value => getHeatmapColor(value, result.scale));
     }
 
     return result;
@@ -315,55 +574,28 @@ function convertTriangleIndicesToLineIndices(triangleIndices) {
 }
 
 /**
- * Regenerates the people and dots arrays based on global counts,
- * removes initial collisions, and updates their WebGL buffers.
- * @param {WebGLRenderingContext} gl The WebGL rendering context
- * @param {object} obstacle The obstacle definition
+ * Resizes the people and dots arrays to new counts. Existing positions are kept, extra
+ * points are dropped from the end and missing ones are generated at random. Collisions are
+ * removed later by updateCollisions.
  * @param {object} bounds The boundary limits { maxX, minX, maxY, minY }
- * @param {object} peopleBuffers The people buffers { position: WebGLBuffer, color: WebGLBuffer }
- * @param {object} dotBuffers The dot buffers { position: WebGLBuffer, color: WebGLBuffer }
- * @param {Number} NUMBER_OF_DOTS The total number of dots to generate
- * @param {Number} NUMBER_OF_PEOPLE The total number of people to generate
+ * @param {Number} NUMBER_OF_DOTS The total number of dots
+ * @param {Number} NUMBER_OF_PEOPLE The total number of people
  * @param {Array<Number>} dots The current array of dot positions
  * @param {Array<Number>} people The current array of people positions
- * @returns {people: Array<Number>, dots: Array<Number>} The new arrays of people and dots positions
+ * @param {function(Number, 'people'|'dots'): Array<Number>} [generate] Optional: generates the missing people or dots,
+ * uniformly within the bounds by default
+ * @returns {{people: Array<Number>, dots: Array<Number>}} The new arrays of people and dots positions
  */
-function resetAndRegeneratePoints(gl, obstacle, bounds, peopleBuffers, dotBuffers, NUMBER_OF_DOTS, NUMBER_OF_PEOPLE, dots, people) {
-    let newPeople = [];
-    if (NUMBER_OF_PEOPLE < people.length / 2) {
-        newPeople.push(...people.slice(0, NUMBER_OF_PEOPLE * 2));
-    }
-    else if (NUMBER_OF_PEOPLE == people.length / 2) {
-        newPeople.push(...people);
-    }
-    else if (NUMBER_OF_PEOPLE > people.length / 2) {
-        newPeople.push(...people);
-        for (let i = 0; i < NUMBER_OF_PEOPLE - people.length / 2; i++) {
-            newPeople.push(Math.random() * (bounds.maxX - bounds.minX) + bounds.minX, Math.random() * (bounds.maxY - bounds.minY) + bounds.minY);
-        }
-    }
-
-    let newDots = [];
-    if (NUMBER_OF_DOTS < dots.length / 2) {
-        newDots.push(...dots.slice(0, NUMBER_OF_DOTS * 2));
-    }
-    else if (NUMBER_OF_DOTS == dots.length / 2) {
-        newDots.push(...dots);
-    }
-    else if (NUMBER_OF_DOTS > dots.length / 2) {
-        newDots.push(...dots);
-        for (let i = 0; i < NUMBER_OF_DOTS - dots.length / 2; i++) {
-            newDots.push(Math.random() * (bounds.maxX - bounds.minX) + bounds.minX, Math.random() * (bounds.maxY - bounds.minY) + bounds.minY);
-        }
-    }
-
-    const updatedPositions = { people: newPeople, dots: newDots };
+function resizePoints(bounds, NUMBER_OF_DOTS, NUMBER_OF_PEOPLE, dots, people, generate = (count) => generateRandomPoints(count, bounds)) {
+    const newPeople = NUMBER_OF_PEOPLE <= people.length / 2
+        ? people.slice(0, NUMBER_OF_PEOPLE * 2)
+        : people.concat(generate(NUMBER_OF_PEOPLE - people.length / 2, 'people'));
 
-    // The updation of location buffers is taken care in the main update loop
-    updateBuffer(gl, gl.ARRAY_BUFFER, peopleBuffers.color, new Float32Array(generateUniformColors(updatedPositions.people.length / 2, PEOPLE_COLOR)), gl.DYNAMIC_DRAW);
-    updateBuffer(gl, gl.ARRAY_BUFFER, dotBuffers.color, new Float32Array(generateUniformColors(updatedPositions.dots.length / 2, DOT_COLOR)), gl.DYNAMIC_DRAW);
+    const newDots = NUMBER_OF_DOTS <= dots.length / 2
+        ? dots.slice(0, NUMBER_OF_DOTS * 2)
+        : dots.concat(generate(NUMBER_OF_DOTS - dots.length / 2, 'dots'));
 
-    return { people: updatedPositions.people, dots: updatedPositions.dots };
+    return { people: newPeople, dots: newDots };
 }
 
 /**
@@ -406,4 +638,4 @@ function findClosestEdge(point, vertices, indices) {
     return { edge: closestEdge, distance: Math.sqrt(minDistanceSq) };
 }
 
-export { updateCollisions, triangulateWithObstacle, getTriangleDensity, convertTriangleIndicesToLineIndices, resetAndRegeneratePoints, findClosestEdge, getObstacleCorners };
\ No newline at end of file
+export { setCdt2d, generateRandomPoints, updateCollisions, triangulateWithObstacle, getTriangleDensity, getDensityCategory, getTriangleAreas, countPeoplePerTriangle, convertTriangleIndicesToLineIndices, resizePoints, findClosestEdge, getObstacleCorners, createObstacle, createRectangleShape, createStarShape, createObstacleFromPolygon, isSimplePolygon, triangulatePolygon, isPointInPolygon, isPointInAnyObstacle, findObstacleAt, obstaclesOverlap, findCornerOutsideBounds, segmentsIntersect };
\ No newline at end of file
@@ -0,0 +1,255 @@
+import { getObstacleCorners, segmentsIntersect, triangulateWithObstacle } from "./math.js";
+import { validateTriangle, segmentCrossesObstacle, distanceToSegment } from "./mesh-validation.js";
+
+/**
+ * Manual mesh edits, kept as constraints that are applied again after every retriangulation.
+ * Mesh vertex indices change whenever a dot is inserted or an obstacle is added, so the edits
+ * refer to vertices by stable keys instead: "d3" is dot 3, "c1" is corner 1 and "o2:5" is
+ * vertex 5 of obstacle 2.
+ */
+
+/**
+ * Creates an empty set of manual mesh edits.
+ * @returns {{forcedEdges: Array<Array<String>>, forbiddenEdges: Array<Array<String>>, userTriangles: Array<Array<String>>}} The edits
+ */
+function createMeshEdits() {
+    return { forcedEdges: [], forbiddenEdges: [], userTriangles: [] };
+}
+
+/**
+ * Gets the stable key of a mesh vertex.
+ * @param {Number} index The vertex index in the mesh
+ * @param {Number} dotCount The number of dots at the start of the vertices
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @returns {String} The vertex key
+ */
+function getVertexKey(index, dotCount, obstacles) {
+    if (index < dotCount) {
+        return `d${index}`;
+    }
+    if (index < dotCount + 4) {
+        return `c${index - dotCount}`;
+    }
+    let start = dotCount + 4;
+    for (let o = 0; o < obstacles.length; o++) {
+        if (index < start + obstacles[o].shape.length) {
+            return `o${o}:${index - start}`;
+        }
+        start += obstacles[o].shape.length;
+    }
+    throw new Error(`Vertex ${index} is not part of the mesh`);
+}
+
+/**
+ * Finds the mesh vertex with a stable key.
+ * @param {String} key The vertex key
+ * @param {Number} dotCount The number of dots at the start of the vertices
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @returns {Number} The vertex index in the mesh, or -1 if the vertex does not exist any more
+ */
+function getVertexIndex(key, dotCount, obstacles) {
+    const [, type, first, second] = key.match(/^([dco])(\d+)(?::(\d+))?$/) ?? [];
+    const i = Number(first);
+    if (type === 'd') {
+        return i < dotCount ? i : -1;
+    }
+    if (type === 'c') {
+        return i < 4 ? dotCount + i : -1;
+    }
+    if (type === 'o' && i < obstacles.length && Number(second) < obstacles[i].shape.length) {
+        return obstacles.slice(0, i).reduce((start, obstacle) => start + obstacle.shape.length, dotCount + 4) + Number(second);
+    }
+    return -1;
+}
+
+/**
+ * Checks whether two edits refer to the same edge, in either direction.
+ * @param {Array<String>} a The keys of the first edge
+ * @param {Array<String>} b The keys of the second edge
+ * @returns {boolean} True if the edges are the same
+ */
+function isSameEdge(a, b) {
+    return (a[0] === b[0] && a[1] === b[1]) || (a[0] === b[1] && a[1] === b[0]);
+}
+
+/**
+ * Records an edge that has to stay in the mesh, after an edge flip. A later edit of the
+ * same edge replaces an earlier one.
+ * @param {Object} edits The edits from createMeshEdits
+ * @param {Array<String>} edge The keys of the new edge
+ * @param {Array<String>} replacedEdge The keys of the flipped edge, which is gone from the mesh
+ */
+function recordForcedEdge(edits, edge, replacedEdge) {
+    edits.forbiddenEdges = edits.forbiddenEdges.filter(other => !isSameEdge(other, edge));
+    edits.forcedEdges = edits.forcedEdges.filter(other => !isSameEdge(other, edge) && !isSameEdge(other, replacedEdge));
+    edits.userTriangles = edits.userTriangles.filter(keys => !(keys.includes(replacedEdge[0]) && keys.includes(replacedEdge[1])));
+    edits.forcedEdges.push(edge);
+}
+
+/**
+ * Records an edge that was deleted, together with the triangles sharing it. Forced edges and
+ * user triangles using the edge are dropped.
+ * @param {Object} edits The edits from createMeshEdits
+ * @param {Array<String>} edge The keys of the edge
+ */
+function recordForbiddenEdge(edits, edge) {
+    edits.forcedEdges = edits.forcedEdges.filter(other => !isSameEdge(other, edge));
+    edits.userTriangles = edits.userTriangles.filter(keys => !(keys.includes(edge[0]) && keys.includes(edge[1])));
+    edits.forbiddenEdges = edits.forbiddenEdges.filter(other => !isSameEdge(other, edge));
+    edits.forbiddenEdges.push(edge);
+}
+
+/**
+ * Records a triangle that was added by hand. User triangles are added after the triangles
+ * of the forbidden edges are removed, so a triangle can fill part of a deleted area again.
+ * @param {Object} edits The edits from createMeshEdits
+ * @param {Array<String>} keys The keys of the three vertices
+ */
+function recordUserTriangle(edits, keys) {
+    edits.userTriangles.push(keys);
+}
+
+/**
+ * Updates the dot keys after a dot was deleted: edits using the dot are dropped and later
+ * dots move down by one.
+ * @param {Object} edits The edits from createMeshEdits
+ * @param {Number} dotIndex The index of the deleted dot
+ */
+function removeDotFromEdits(edits, dotIndex) {
+    removeVertexFromEdits(edits, `d${dotIndex}`, key => {
+        const match = key.match(/^d(\d+)$/);
+        return match && Number(match[1]) > dotIndex ? `d${Number(match[1]) - 1}` : key;
+    });
+}
+
+/**
+ * Updates the obstacle keys after an obstacle was removed: edits using its vertices are
+ * dropped and later obstacles move down by one.
+ * @param {Object} edits The edits from createMeshEdits
+ * @param {Number} obstacleIndex The index of the removed obstacle
+ */
+function removeObstacleFromEdits(edits, obstacleIndex) {
+    removeVertexFromEdits(edits, new RegExp(`^o${obstacleIndex}:`), key => {
+        const match = key.match(/^o(\d+):(\d+)$/);
+        return match && Number(match[1]) > obstacleIndex ? `o${Number(match[1]) - 1}:${match[2]}` : key;
+    });
+}
+
+/**
+ * Drops the edits using some vertices and renames the keys of the others.
+ * @param {Object} edits The edits from createMeshEdits
+ * @param {String|RegExp} removed The key of the removed vertex, or a pattern matching the removed keys
+ * @param {function(String): String} rename Gives the new key of a vertex that stays
+ */
+function removeVertexFromEdits(edits, removed, rename) {
+    const isRemoved = (key) => typeof removed === 'string' ? key === removed : removed.test(key);
+    ['forcedEdges', 'forbiddenEdges', 'userTriangles'].forEach(type => {
+        edits[type] = edits[type].filter(keys => !keys.some(isRemoved)).map(keys => keys.map(rename));
+    });
+}
+
+/**
+ * Triangulates the scene and applies the manual edits again. Forced and forbidden edges
+ * become constraint edges of the triangulation; the triangles sharing a forbidden edge are
+ * then removed, and the user triangles the triangulation did not produce are added.
+ * Edits the current scene makes impossible (a vertex is gone, an edge crosses an obstacle or
+ * another edit, or a triangle would overlap the mesh) are kept but reported as broken, so
+ * they come back once they are possible again.
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {Array<Number>} dots The array of dot positions [x1, y1, x2, y2, ...]
+ * @param {Array<Number>} corners The world corner positions [x1, y1, ...]
+ * @param {Object} edits The edits from createMeshEdits
+ * @returns {{triangle: {vertices: Array<Number>, indices: Array<Number>}, broken: Array<{type: String, keys: Array<String>, reason: String}>}}
+ * The triangulation and the edits that could not be applied
+ */
+function triangulateWithEdits(obstacles, dots, corners, edits) {
+    const dotCount = dots.length / 2;
+    const points = dots.concat(corners);
+    obstacles.forEach(obstacle => points.push(...getObstacleCorners(obstacle).flat()));
+    const point = (v) => [points[v * 2], points[v * 2 + 1]];
+    const polygons = obstacles.map(getObstacleCorners);
+    const broken = [];
+    const constraints = [];
+
+    // returns why an edge cannot be a constraint, or null if it can
+    const checkEdge = ([a, b]) => {
+        if (a === -1 || b === -1) {
+            return "a vertex of the edit does not exist any more";
+        }
+        if (polygons.some(polygon => segmentCrossesObstacle(point(a), point(b), polygon))) {
+            return "it crosses an obstacle";
+        }
+        for (let v = 0; v < points.length / 2; v++) {
+            if (v !== a && v !== b && distanceToSegment(point(v), point(a), point(b)) < 1e-6) {
+                return "it runs through another vertex";
+            }
+        }
+        if (constraints.some(([c, d]) => segmentsIntersect(point(a), point(b), point(c), point(d)))) {
+            return "it crosses another manual edit";
+        }
+        return null;
+    };
+    const resolve = (keys) => keys.map(key => getVertexIndex(key, dotCount, obstacles));
+
+    const forbidden = [];
+    [['forced', edits.forcedEdges], ['forbidden', edits.forbiddenEdges]].forEach(([type, edges]) => {
+        edges.forEach(keys => {
+            const edge = resolve(keys);
+            const reason = checkEdge(edge);
+            if (reason) {
+                broken.push({ type, keys, reason });
+                return;
+            }
+            constraints.push(edge);
+            if (type === 'forbidden') forbidden.push(edge);
+        });
+    });
+
+    // the edges of the user triangles are constraints too, so that the triangles fit into the mesh
+    const userTriangles = [];
+    edits.userTriangles.forEach(keys => {
+        const tri = resolve(keys);
+        const edges = [[tri[0], tri[1]], [tri[1], tri[2]], [tri[2], tri[0]]];
+        const isConstraint = (edge) => constraints.some(other => isSameEdge(other, edge));
+        const newEdges = edges.filter(edge => !isConstraint(edge));
+        const reason = newEdges.map(checkEdge).find(Boolean);
+        if (reason) {
+            broken.push({ type: 'triangle', keys, reason });
+            return;
+        }
+        newEdges.forEach(edge => constraints.push(edge));
+        userTriangles.push({ keys, tri });
+    });
+
+    const triangle = triangulateWithObstacle(obstacles, dots.concat(corners), constraints);
+
+    // deleted edges take the triangles sharing them along
+    if (forbidden.length > 0) {
+        const indices = [];
+        for (let i = 0; i < triangle.indices.length; i += 3) {
+            const tri = triangle.indices.slice(i, i + 3);
+            if (!forbidden.some(([a, b]) => tri.includes(a) && tri.includes(b))) {
+                indices.push(...tri);
+            }
+        }
+        triangle.indices = indices;
+    }
+
+    // user triangles that are not part of the new mesh are added where they still fit
+    userTriangles.forEach(({ keys, tri }) => {
+        const key = tri.slice().sort((p, q) => p - q).join();
+        for (let i = 0; i < triangle.indices.length; i += 3) {
+            if (triangle.indices.slice(i, i + 3).sort((p, q) => p - q).join() === key) return;
+        }
+        const problem = validateTriangle(triangle, tri, obstacles);
+        if (problem) {
+            broken.push({ type: 'triangle', keys, reason: problem.reason.toLowerCase() });
+            return;
+        }
+        triangle.indices.push(...tri);
+    });
+
+    return { triangle, broken };
+}
+
+export { createMeshEdits, getVertexKey, getVertexIndex, recordForcedEdge, recordForbiddenEdge, recordUserTriangle, removeDotFromEdits, removeObstacleFromEdits, triangulateWithEdits };
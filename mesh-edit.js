@@ -0,0 +1,190 @@
+import { isPointInAnyObstacle, isSimplePolygon, segmentsIntersect, triangulatePolygon } from "./math.js";
+import { buildTriangleGrid, locatePointInGrid } from "./spatial-index.js";
+
+/**
+ * Local edits of the triangulation mesh. They change only the triangles around the edited
+ * edge or vertex, so manual edits elsewhere in the mesh survive. The mesh vertices are
+ * laid out as the dots first, then the corners and obstacle vertices, so inserting or
+ * deleting a dot shifts the indices of every vertex after the dots.
+ * Every edit returns a new mesh, or an object with an error message if it is not possible.
+ */
+
+/**
+ * Triangles thinner than this (in square world units) are not created.
+ */
+const MIN_TRIANGLE_AREA = 1e-6;
+
+/**
+ * Calculates the signed area of a triangle of the mesh, positive for counter-clockwise corners.
+ * @param {Array<Number>} vertices The mesh vertices [x1, y1, x2, y2, ...]
+ * @param {Number} a The index of the first vertex
+ * @param {Number} b The index of the second vertex
+ * @param {Number} c The index of the third vertex
+ * @returns {Number} The signed area
+ */
+function getSignedArea(vertices, a, b, c) {
+    return ((vertices[b * 2] - vertices[a * 2]) * (vertices[c * 2 + 1] - vertices[a * 2 + 1]) -
+        (vertices[c * 2] - vertices[a * 2]) * (vertices[b * 2 + 1] - vertices[a * 2 + 1])) / 2;
+}
+
+/**
+ * Flips an interior edge: the two triangles sharing the edge (a, b) are replaced by the
+ * two triangles sharing the other diagonal (c, d) of the quadrilateral they form.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data
+ * @param {Array<Number>} edge The vertex indices of the edge [a, b]
+ * @returns {{triangle: {vertices: Array<Number>, indices: Array<Number>}, edge: Array<Number>}|{error: String}} The new mesh and its new edge [c, d]
+ */
+function flipEdge(triangleData, edge) {
+    const { vertices, indices } = triangleData;
+    const [a, b] = edge;
+    const sharing = [];
+    for (let t = 0; t < indices.length / 3; t++) {
+        const tri = indices.slice(t * 3, t * 3 + 3);
+        if (tri.includes(a) && tri.includes(b)) sharing.push(t);
+    }
+    if (sharing.length !== 2) {
+        return { error: "Only an edge shared by exactly two triangles can be flipped" };
+    }
+
+    const opposite = (t) => indices.slice(t * 3, t * 3 + 3).find(v => v !== a && v !== b);
+    const c = opposite(sharing[0]);
+    const d = opposite(sharing[1]);
+    const point = (v) => [vertices[v * 2], vertices[v * 2 + 1]];
+    // the new diagonal only stays inside the quadrilateral if the two diagonals cross
+    if (!segmentsIntersect(point(a), point(b), point(c), point(d))) {
+        return { error: "The two triangles do not form a convex quadrilateral, so the edge cannot be flipped" };
+    }
+
+    // keep the winding of the original triangle
+    const winding = Math.sign(getSignedArea(vertices, ...indices.slice(sharing[0] * 3, sharing[0] * 3 + 3)));
+    const oriented = (p, q, r) => Math.sign(getSignedArea(vertices, p, q, r)) === winding ? [p, q, r] : [p, r, q];
+    const newIndices = indices.slice();
+    newIndices.splice(sharing[0] * 3, 3, ...oriented(c, d, a));
+    newIndices.splice(sharing[1] * 3, 3, ...oriented(d, c, b));
+    return { triangle: { vertices, indices: newIndices }, edge: [c, d] };
+}
+
+/**
+ * Inserts a new dot into the mesh and splits the triangle containing it into three.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data
+ * @param {Number} dotCount The number of dots at the start of the vertices
+ * @param {Number} x The x-coordinate of the new dot
+ * @param {Number} y The y-coordinate of the new dot
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @returns {{triangle: {vertices: Array<Number>, indices: Array<Number>}, dotIndex: Number}|{error: String}} The new mesh and the vertex index of the new dot
+ */
+function insertVertex(triangleData, dotCount, x, y, obstacles) {
+    if (isPointInAnyObstacle(obstacles, x, y)) {
+        return { error: "A dot cannot be placed inside an obstacle" };
+    }
+    const t = locatePointInGrid(buildTriangleGrid(triangleData), triangleData, x, y);
+    if (t === -1) {
+        return { error: "The dot must be placed inside a triangle of the mesh" };
+    }
+
+    // the new dot goes right after the other dots, so every later vertex moves up by one
+    const vertices = triangleData.vertices.slice();
+    vertices.splice(dotCount * 2, 0, x, y);
+    const shift = (v) => v >= dotCount ? v + 1 : v;
+    const indices = triangleData.indices.map(shift);
+    const [a, b, c] = indices.slice(t * 3, t * 3 + 3);
+    const p = dotCount;
+    const children = [[a, b, p], [b, c, p], [c, a, p]];
+    if (children.some(child => Math.abs(getSignedArea(vertices, ...child)) < MIN_TRIANGLE_AREA)) {
+        return { error: "The dot is too close to an existing edge" };
+    }
+    indices.splice(t * 3, 3, ...children.flat());
+    return { triangle: { vertices, indices }, dotIndex: p };
+}
+
+/**
+ * Moves a dot, and with it the triangles using it. The move is refused if any of these
+ * triangles would turn inside out, since it would then overlap its neighbours.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data
+ * @param {Number} vertexIndex The vertex index of the dot
+ * @param {Number} x The new x-coordinate
+ * @param {Number} y The new y-coordinate
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @returns {{triangle: {vertices: Array<Number>, indices: Array<Number>}}|{error: String}} The new mesh
+ */
+function moveVertex(triangleData, vertexIndex, x, y, obstacles) {
+    if (isPointInAnyObstacle(obstacles, x, y)) {
+        return { error: "A dot cannot be moved into an obstacle" };
+    }
+    const { indices } = triangleData;
+    const vertices = triangleData.vertices.slice();
+    vertices[vertexIndex * 2] = x;
+    vertices[vertexIndex * 2 + 1] = y;
+
+    for (let t = 0; t < indices.length / 3; t++) {
+        const tri = indices.slice(t * 3, t * 3 + 3);
+        if (!tri.includes(vertexIndex)) continue;
+        const before = getSignedArea(triangleData.vertices, ...tri);
+        const after = getSignedArea(vertices, ...tri);
+        if (Math.sign(before) !== Math.sign(after) || Math.abs(after) < MIN_TRIANGLE_AREA) {
+            return { error: "The dot cannot be moved past the edges of its neighbours" };
+        }
+    }
+    return { triangle: { vertices, indices } };
+}
+
+/**
+ * Deletes a dot and fills the hole left by its triangles with new triangles.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data
+ * @param {Number} dotCount The number of dots at the start of the vertices
+ * @param {Number} vertexIndex The vertex index of the dot
+ * @returns {{triangle: {vertices: Array<Number>, indices: Array<Number>}}|{error: String}} The new mesh
+ */
+function deleteVertex(triangleData, dotCount, vertexIndex) {
+    if (vertexIndex >= dotCount) {
+        return { error: "Only dots can be deleted" };
+    }
+    const { vertices, indices } = triangleData;
+    const incident = [];
+    const kept = [];
+    for (let t = 0; t < indices.length / 3; t++) {
+        const tri = indices.slice(t * 3, t * 3 + 3);
+        (tri.includes(vertexIndex) ? incident : kept).push(tri);
+    }
+
+    // walk the edges opposite to the dot to find the polygon around it
+    const next = new Map();
+    incident.forEach(tri => {
+        const k = tri.indexOf(vertexIndex);
+        let [p, q] = [tri[(k + 1) % 3], tri[(k + 2) % 3]];
+        if (getSignedArea(vertices, vertexIndex, p, q) < 0) [p, q] = [q, p];
+        next.set(p, q);
+    });
+    const targets = new Set(next.values());
+    const starts = [...next.keys()].filter(v => !targets.has(v));
+    if (starts.length > 1 || next.size !== incident.length) {
+        return { error: "The triangles around this dot do not form a single fan, so the hole cannot be filled" };
+    }
+    // a closed ring, or an open chain for a dot on the edge of the mesh
+    const ring = [];
+    let v = starts.length === 1 ? starts[0] : next.keys().next().value;
+    while (v !== undefined && !ring.includes(v)) {
+        ring.push(v);
+        v = next.get(v);
+    }
+
+    const polygon = ring.map(w => [vertices[w * 2], vertices[w * 2 + 1]]);
+    const filling = [];
+    if (ring.length >= 3) {
+        if (!isSimplePolygon(polygon)) {
+            return { error: "The hole left by this dot cannot be filled" };
+        }
+        const local = triangulatePolygon(polygon);
+        for (let i = 0; i < local.length; i++) {
+            filling.push(ring[local[i]]);
+        }
+    }
+
+    // the dot goes away, so every later vertex moves down by one
+    const newVertices = vertices.slice();
+    newVertices.splice(vertexIndex * 2, 2);
+    const shift = (w) => w > vertexIndex ? w - 1 : w;
+    return { triangle: { vertices: newVertices, indices: kept.flat().concat(filling).map(shift) } };
+}
+
+export { flipEdge, insertVertex, moveVertex, deleteVertex };
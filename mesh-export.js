@@ -0,0 +1,158 @@
+import { getObstacleCorners } from "./math.js";
+
+/**
+ * Converts an RGBA color with channels in [0, 1] to an SVG color and opacity.
+ * @param {Array<Number>} color The color [r, g, b, a]
+ * @returns {{fill: String, opacity: Number}} The SVG color and its opacity
+ */
+function toSvgColor(color) {
+    const [r, g, b] = color.slice(0, 3).map(channel => Math.round(channel * 255));
+    return { fill: `rgb(${r}, ${g}, ${b})`, opacity: color[3] ?? 1 };
+}
+
+/**
+ * Exports the triangulation, colored by density, to an SVG document. The coordinates are
+ * the world coordinates of the WebGL buffers; the y axis is flipped so the picture looks
+ * the same as on the canvas.
+ * @param {Object} scene The data the buffers are built from
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} scene.triangle The triangulation data
+ * @param {{counts: Array<Number>, categories: Array<'red'|'orange'|'blue'>, colors: Array<Number>}} scene.density
+ * The number of people, the density category and the color [r1, g1, b1, a1, r2, ...] of every triangle, as drawn on the canvas
+ * @param {Array<Object>} scene.obstacles The list of obstacles
+ * @param {Array<Number>} scene.dots The array of dot positions [x1, y1, x2, y2, ...]
+ * @param {Array<Number>} scene.people The array of people positions [x1, y1, x2, y2, ...]
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} scene.bounds The world bounds
+ * @param {Object} options The export settings
+ * @param {{obstacles: boolean, dots: boolean, people: boolean}} options.layers The optional layers to include
+ * @param {Object<String, Array<Number>>} options.colors The RGBA colors of the line, obstacle, dot and people layers
+ * @param {Number} options.pointSize The diameter of the dots and people, in world units
+ * @returns {String} The SVG document
+ */
+function exportSceneToSVG(scene, options) {
+    const { triangle, density, obstacles, dots, people, bounds } = scene;
+    const { layers, colors, pointSize } = options;
+    const width = bounds.maxX - bounds.minX;
+    const height = bounds.maxY - bounds.minY;
+    const lines = [];
+
+    lines.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="${bounds.minX} ${-bounds.maxY} ${width} ${height}" width="${width * 4}" height="${height * 4}">`);
+    lines.push(`<g transform="scale(1, -1)">`);
+
+    // triangles, one group per density category, each filled with its color on the canvas
+    const line = toSvgColor(colors.line);
+    ['blue', 'orange', 'red'].forEach(category => {
+        lines.push(`<g id="density-${category}" stroke="${line.fill}" stroke-width="0.2" stroke-linejoin="round">`);
+        for (let t = 0; t < density.counts.length; t++) {
+            if (density.categories[t] !== category) continue;
+            const points = [0, 1, 2].map(k => {
+                const v = triangle.indices[t * 3 + k];
+                return `${triangle.vertices[v * 2]},${triangle.vertices[v * 2 + 1]}`;
+            });
+            const { fill, opacity } = toSvgColor(density.colors.slice(t * 4, t * 4 + 4));
+            lines.push(`<polygon points="${points.join(" ")}" fill="${fill}" fill-opacity="${opacity}" data-people="${density.counts[t]}" />`);
+        }
+        lines.push(`</g>`);
+    });
+
+    if (layers.obstacles) {
+        const { fill, opacity } = toSvgColor(colors.obstacle);
+        lines.push(`<g id="obstacles" fill="${fill}" fill-opacity="${opacity}">`);
+        obstacles.forEach(obstacle => {
+            lines.push(`<polygon points="${getObstacleCorners(obstacle).map(p => p.join(",")).join(" ")}" />`);
+        });
+        lines.push(`</g>`);
+    }
+
+    const pointLayer = (id, points, color) => {
+        const { fill, opacity } = toSvgColor(color);
+        lines.push(`<g id="${id}" fill="${fill}" fill-opacity="${opacity}">`);
+        for (let i = 0; i < points.length; i += 2) {
+            lines.push(`<circle cx="${points[i]}" cy="${points[i + 1]}" r="${pointSize / 2}" />`);
+        }
+        lines.push(`</g>`);
+    };
+    if (layers.dots) pointLayer("dots", dots, colors.dot);
+    if (layers.people) pointLayer("people", people, colors.people);
+
+    lines.push(`</g>`);
+    lines.push(`</svg>`);
+    return lines.join("\n");
+}
+
+/**
+ * Exports the triangulation to a Wavefront OBJ document. OBJ has no per-face attributes,
+ * so the faces are grouped by density category (one material each) and the number of
+ * people in every face is written as a comment right before it. The materials are read from
+ * the library written by exportMaterialsToMTL, which has to be saved next to the OBJ file.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangle The triangulation data
+ * @param {{counts: Array<Number>, categories: Array<'red'|'orange'|'blue'>}} density The number of people and the density category of every triangle
+ * @param {String} materialFile The file name of the material library
+ * @returns {String} The OBJ document
+ */
+function exportMeshToOBJ(triangle, density, materialFile) {
+    const { counts, categories } = density;
+    const lines = ["# crowd simulation triangulation", `mtllib ${materialFile}`];
+    for (let i = 0; i < triangle.vertices.length; i += 2) {
+        lines.push(`v ${triangle.vertices[i]} ${triangle.vertices[i + 1]} 0`);
+    }
+    ['blue', 'orange', 'red'].forEach(category => {
+        lines.push(`g density_${category}`, `usemtl density_${category}`);
+        for (let t = 0; t < counts.length; t++) {
+            if (categories[t] !== category) continue;
+            const [a, b, c] = [triangle.indices[t * 3], triangle.indices[t * 3 + 1], triangle.indices[t * 3 + 2]];
+            lines.push(`# people ${counts[t]}`, `f ${a + 1} ${b + 1} ${c + 1}`); // OBJ indices start at 1
+        }
+    });
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Exports the materials of the density categories to a Wavefront MTL library, for the
+ * OBJ document of exportMeshToOBJ.
+ * @param {Object<String, Array<Number>>} colors The RGBA colors of the red, orange and blue categories
+ * @returns {String} The MTL document
+ */
+function exportMaterialsToMTL(colors) {
+    const lines = ["# crowd simulation density categories"];
+    ['blue', 'orange', 'red'].forEach(category => {
+        const [r, g, b, a] = colors[category];
+        lines.push(`newmtl density_${category}`, `Kd ${r} ${g} ${b}`, `d ${a ?? 1}`);
+    });
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Exports the triangulation to an ASCII PLY document, with the number of people and the
+ * density color of every face, as drawn on the canvas, as face properties.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangle The triangulation data
+ * @param {{counts: Array<Number>, colors: Array<Number>}} density The number of people and the color [r1, g1, b1, a1, r2, ...] of every triangle
+ * @returns {String} The PLY document
+ */
+function exportMeshToPLY(triangle, density) {
+    const { counts, colors } = density;
+    const lines = [
+        "ply",
+        "format ascii 1.0",
+        `element vertex ${triangle.vertices.length / 2}`,
+        "property float x",
+        "property float y",
+        "property float z",
+        `element face ${counts.length}`,
+        "property list uchar int vertex_indices",
+        "property int people",
+        "property uchar red",
+        "property uchar green",
+        "property uchar blue",
+        "end_header",
+    ];
+    for (let i = 0; i < triangle.vertices.length; i += 2) {
+        lines.push(`${triangle.vertices[i]} ${triangle.vertices[i + 1]} 0`);
+    }
+    for (let t = 0; t < counts.length; t++) {
+        const color = colors.slice(t * 4, t * 4 + 3).map(channel => Math.round(channel * 255));
+        lines.push(`3 ${triangle.indices[t * 3]} ${triangle.indices[t * 3 + 1]} ${triangle.indices[t * 3 + 2]} ${counts[t]} ${color.join(" ")}`);
+    }
+    return lines.join("\n") + "\n";
+}
+
+export { exportSceneToSVG, exportMeshToOBJ, exportMaterialsToMTL, exportMeshToPLY };
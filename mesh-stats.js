@@ -0,0 +1,87 @@
+import { summarizeCounts } from "./refine.js";
+
+/**
+ * Statistics of the density map and the shape of the mesh, for the statistics panel.
+ */
+
+const SLIVER_ANGLE = 10; // in degrees, triangles with a smaller angle are slivers
+const ASPECT_RATIO_BINS = [1.5, 2, 3, 5]; // the upper edges of the aspect ratio bins, the last bin is open
+const MAX_HISTOGRAM_BINS = 20;
+
+/**
+ * Counts how many triangles hold each number of people. Large counts are grouped into bins of
+ * several counts, so the histogram never has more than maxBins bars.
+ * @param {Array<Number>} counts The number of people in each triangle
+ * @param {Number} [maxBins=MAX_HISTOGRAM_BINS] The largest number of bins
+ * @returns {Array<{from: Number, to: Number, triangles: Number}>} The bins, each covering the counts from..to
+ */
+function getCountHistogram(counts, maxBins = MAX_HISTOGRAM_BINS) {
+    const max = counts.reduce((largest, count) => Math.max(largest, count), 0);
+    const width = Math.ceil((max + 1) / maxBins);
+    const bins = [];
+    for (let from = 0; from <= max; from += width) {
+        bins.push({ from, to: from + width - 1, triangles: 0 });
+    }
+    counts.forEach(count => bins[Math.floor(count / width)].triangles++);
+    return bins;
+}
+
+/**
+ * Sums up the density map: the triangles in each category and the spread of people per triangle.
+ * @param {Object} density The result of getTriangleDensity
+ * @returns {{categories: {red: Number, orange: Number, blue: Number}, summary: Object, histogram: Array<Object>}} The figures,
+ * with the summary from summarizeCounts and the histogram from getCountHistogram
+ */
+function getDensityStatistics(density) {
+    const categories = { red: 0, orange: 0, blue: 0 };
+    density.categories.forEach(category => categories[category]++);
+    return { categories, summary: summarizeCounts(density.counts), histogram: getCountHistogram(density.counts) };
+}
+
+/**
+ * Measures the shape of a triangle.
+ * @param {Array<Number>} a The first corner [x, y]
+ * @param {Array<Number>} b The second corner [x, y]
+ * @param {Array<Number>} c The third corner [x, y]
+ * @returns {{minAngle: Number, aspectRatio: Number}} The smallest angle in degrees, and the circumradius divided
+ * by twice the inradius, which is 1 for an equilateral triangle and grows without bound for a degenerate one
+ */
+function getTriangleShape(a, b, c) {
+    const [ab, bc, ca] = [[a, b], [b, c], [c, a]].map(([p, q]) => Math.hypot(q[0] - p[0], q[1] - p[1]));
+    const area = Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1])) / 2;
+    if (area === 0) {
+        return { minAngle: 0, aspectRatio: Infinity };
+    }
+    // the smallest angle lies opposite the shortest side
+    const [shortest, other1, other2] = [ab, bc, ca].sort((p, q) => p - q);
+    const cosine = (other1 * other1 + other2 * other2 - shortest * shortest) / (2 * other1 * other2);
+    const minAngle = Math.acos(Math.min(1, Math.max(-1, cosine))) * 180 / Math.PI;
+    const semiPerimeter = (ab + bc + ca) / 2;
+    return { minAngle, aspectRatio: ab * bc * ca * semiPerimeter / (8 * area * area) };
+}
+
+/**
+ * Measures the quality of the mesh.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data
+ * @returns {{minAngle: Number, aspectRatios: Array<{to: Number, triangles: Number}>, slivers: Number}} The smallest angle
+ * of the mesh in degrees, the number of triangles per aspect ratio bin (up to `to`, Infinity for the last bin), and the
+ * number of triangles with an angle below SLIVER_ANGLE
+ */
+function getMeshQuality(triangleData) {
+    const { vertices, indices } = triangleData;
+    const point = (v) => [vertices[v * 2], vertices[v * 2 + 1]];
+    const aspectRatios = ASPECT_RATIO_BINS.concat(Infinity).map(to => ({ to, triangles: 0 }));
+    let minAngle = indices.length > 0 ? 180 : 0;
+    let slivers = 0;
+    for (let i = 0; i < indices.length; i += 3) {
+        const shape = getTriangleShape(point(indices[i]), point(indices[i + 1]), point(indices[i + 2]));
+        minAngle = Math.min(minAngle, shape.minAngle);
+        if (shape.minAngle < SLIVER_ANGLE) {
+            slivers++;
+        }
+        aspectRatios.find(bin => shape.aspectRatio <= bin.to).triangles++;
+    }
+    return { minAngle, aspectRatios, slivers };
+}
+
+export { SLIVER_ANGLE, getCountHistogram, getDensityStatistics, getTriangleShape, getMeshQuality };
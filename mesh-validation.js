@@ -0,0 +1,265 @@
+import { getObstacleCorners, isPointInPolygon, segmentsIntersect } from "./math.js";
+import { buildTriangleGrid } from "./spatial-index.js";
+
+/**
+ * Distances and areas below this (in world units) count as zero. The mesh vertices come
+ * from float arithmetic (obstacle transforms), so exact comparisons would be too strict.
+ */
+const EPSILON = 1e-6;
+
+/**
+ * Gets the corners of a triangle of the mesh.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data
+ * @param {Array<Number>} triangle The three vertex indices [a, b, c]
+ * @returns {Array<Array<Number>>} The corners [[x1,y1], [x2,y2], [x3,y3]]
+ */
+function getTriangleCorners(triangleData, triangle) {
+    return triangle.map(v => [triangleData.vertices[v * 2], triangleData.vertices[v * 2 + 1]]);
+}
+
+/**
+ * Calculates the signed area of a triangle, positive for counter-clockwise corners.
+ * @param {Array<Array<Number>>} corners The corners [[x1,y1], [x2,y2], [x3,y3]]
+ * @returns {Number} The signed area
+ */
+function getSignedArea([p, q, r]) {
+    return ((q[0] - p[0]) * (r[1] - p[1]) - (r[0] - p[0]) * (q[1] - p[1])) / 2;
+}
+
+/**
+ * Checks whether the interiors of two triangles overlap, using the separating axis theorem.
+ * Triangles that only share an edge or a corner do not overlap.
+ * @param {Array<Array<Number>>} a The corners of the first triangle
+ * @param {Array<Array<Number>>} b The corners of the second triangle
+ * @returns {boolean} True if the triangles overlap
+ */
+function trianglesOverlap(a, b) {
+    for (const corners of [a, b]) {
+        for (let i = 0; i < 3; i++) {
+            const [x1, y1] = corners[i];
+            const [x2, y2] = corners[(i + 1) % 3];
+            const length = Math.hypot(x2 - x1, y2 - y1);
+            if (length < EPSILON) continue;
+            const nx = (y1 - y2) / length;
+            const ny = (x2 - x1) / length;
+            const project = (points) => points.map(p => p[0] * nx + p[1] * ny);
+            const pa = project(a);
+            const pb = project(b);
+            if (Math.max(...pa) <= Math.min(...pb) + EPSILON || Math.max(...pb) <= Math.min(...pa) + EPSILON) {
+                return false; // found a separating axis
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * Checks whether a segment runs through an obstacle, by crossing one of its edges or
+ * by running through its inside between two of its vertices.
+ * @param {Array<Number>} a Start of the segment [x, y]
+ * @param {Array<Number>} b End of the segment [x, y]
+ * @param {Array<Array<Number>>} polygon The world-space vertices of the obstacle
+ * @returns {boolean} True if the segment goes through the obstacle
+ */
+function segmentCrossesObstacle(a, b, polygon) {
+    for (let j = 0; j < polygon.length; j++) {
+        if (segmentsIntersect(a, b, polygon[j], polygon[(j + 1) % polygon.length])) {
+            return true;
+        }
+    }
+    // the midpoint of a segment lying on the obstacle boundary is ambiguous, so it is skipped
+    const midpoint = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    const onBoundary = polygon.some((p, j) => distanceToSegment(midpoint, p, polygon[(j + 1) % polygon.length]) < EPSILON);
+    return !onBoundary && isPointInPolygon(midpoint[0], midpoint[1], polygon);
+}
+
+/**
+ * Checks whether a triangle covers part of an obstacle, by crossing one of its edges,
+ * enclosing one of its vertices or lying (partly) inside it.
+ * @param {Array<Array<Number>>} corners The corners of the triangle
+ * @param {Array<Array<Number>>} polygon The world-space vertices of the obstacle
+ * @returns {boolean} True if the triangle and the obstacle overlap
+ */
+function triangleCoversObstacle(corners, polygon) {
+    for (let i = 0; i < 3; i++) {
+        if (segmentCrossesObstacle(corners[i], corners[(i + 1) % 3], polygon)) {
+            return true;
+        }
+    }
+    const area = getSignedArea(corners);
+    const isInside = ([x, y]) => {
+        const d = corners.map((p, i) => getSignedArea([p, corners[(i + 1) % 3], [x, y]]) * Math.sign(area));
+        return d.every(value => value > EPSILON);
+    };
+    if (polygon.some(isInside)) {
+        return true;
+    }
+    const cx = (corners[0][0] + corners[1][0] + corners[2][0]) / 3;
+    const cy = (corners[0][1] + corners[1][1] + corners[2][1]) / 3;
+    return isPointInPolygon(cx, cy, polygon);
+}
+
+/**
+ * Checks a triangle before it is added to the mesh by hand.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data
+ * @param {Array<Number>} candidate The three vertex indices of the new triangle [a, b, c]
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @returns {{reason: String, triangles: Array<Number>}|null} Why the triangle is invalid and the
+ * existing triangles it conflicts with, or null if the triangle can be added
+ */
+function validateTriangle(triangleData, candidate, obstacles) {
+    const corners = getTriangleCorners(triangleData, candidate);
+    if (new Set(candidate).size < 3) {
+        return { reason: "The triangle needs three different vertices", triangles: [] };
+    }
+    if (Math.abs(getSignedArea(corners)) < EPSILON) {
+        return { reason: "The three vertices are collinear", triangles: [] };
+    }
+
+    const key = candidate.slice().sort((p, q) => p - q).join();
+    const { indices } = triangleData;
+    for (let t = 0; t < indices.length / 3; t++) {
+        const triangle = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+        if (triangle.slice().sort((p, q) => p - q).join() === key) {
+            return { reason: `The triangle already exists (triangle ${t})`, triangles: [t] };
+        }
+    }
+
+    const overlapping = [];
+    for (let t = 0; t < indices.length / 3; t++) {
+        const triangle = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+        if (trianglesOverlap(corners, getTriangleCorners(triangleData, triangle))) {
+            overlapping.push(t);
+        }
+    }
+    if (overlapping.length > 0) {
+        return { reason: `The triangle overlaps ${overlapping.length} existing triangle(s)`, triangles: overlapping };
+    }
+
+    const obstacleIndex = obstacles.findIndex(obstacle => triangleCoversObstacle(corners, getObstacleCorners(obstacle)));
+    if (obstacleIndex !== -1) {
+        return { reason: `The triangle crosses or encloses obstacle #${obstacleIndex + 1}`, triangles: [] };
+    }
+    return null;
+}
+
+/**
+ * Finds the distance from a point to a segment.
+ * @param {Array<Number>} p The point [x, y]
+ * @param {Array<Number>} a Start of the segment [x, y]
+ * @param {Array<Number>} b End of the segment [x, y]
+ * @returns {Number} The distance
+ */
+function distanceToSegment(p, a, b) {
+    const l2 = (b[0] - a[0]) ** 2 + (b[1] - a[1]) ** 2;
+    let t = l2 === 0 ? 0 : ((p[0] - a[0]) * (b[0] - a[0]) + (p[1] - a[1]) * (b[1] - a[1])) / l2;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(p[0] - (a[0] + t * (b[0] - a[0])), p[1] - (a[1] + t * (b[1] - a[1])));
+}
+
+/**
+ * Checks the whole mesh. A valid mesh covers the space between the bounds and the
+ * obstacles exactly once: no triangle is degenerate, no two triangles overlap, no triangle
+ * covers an obstacle, and every edge used by only one triangle lies on the bounds or on
+ * an obstacle. Other such edges are the boundary of a hole.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @returns {{degenerate: Array<Number>, overlaps: Array<Array<Number>>, obstacleCrossings: Array<Number>, holes: Array<{edges: Array<Array<Number>>, x: Number, y: Number}>}}
+ * The problems found, each as triangle indices (or vertex index pairs for the hole edges)
+ */
+function validateMesh(triangleData, obstacles, bounds) {
+    const { vertices, indices } = triangleData;
+    const triangleCount = indices.length / 3;
+    const triangleOf = (t) => [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+    const polygons = obstacles.map(getObstacleCorners);
+
+    const degenerate = [];
+    const obstacleCrossings = [];
+    for (let t = 0; t < triangleCount; t++) {
+        const corners = getTriangleCorners(triangleData, triangleOf(t));
+        if (Math.abs(getSignedArea(corners)) < EPSILON) {
+            degenerate.push(t);
+        } else if (polygons.some(polygon => triangleCoversObstacle(corners, polygon))) {
+            obstacleCrossings.push(t);
+        }
+    }
+
+    // only triangles sharing a grid cell can overlap
+    const grid = buildTriangleGrid(triangleData);
+    const overlaps = [];
+    const tested = new Set();
+    for (let cell = 0; cell < grid.cols * grid.rows; cell++) {
+        for (let i = grid.cellStart[cell]; i < grid.cellStart[cell + 1]; i++) {
+            for (let j = i + 1; j < grid.cellStart[cell + 1]; j++) {
+                const [a, b] = [grid.items[i], grid.items[j]];
+                const key = a * triangleCount + b;
+                if (tested.has(key)) continue;
+                tested.add(key);
+                if (trianglesOverlap(getTriangleCorners(triangleData, triangleOf(a)), getTriangleCorners(triangleData, triangleOf(b)))) {
+                    overlaps.push([a, b]);
+                }
+            }
+        }
+    }
+
+    // edges used by a single triangle, that are not part of the bounds or of an obstacle
+    const edgeUse = new Map();
+    for (let t = 0; t < triangleCount; t++) {
+        const triangle = triangleOf(t);
+        for (let k = 0; k < 3; k++) {
+            const a = Math.min(triangle[k], triangle[(k + 1) % 3]);
+            const b = Math.max(triangle[k], triangle[(k + 1) % 3]);
+            const key = `${a},${b}`;
+            edgeUse.set(key, (edgeUse.get(key) ?? 0) + 1);
+        }
+    }
+    const point = (v) => [vertices[v * 2], vertices[v * 2 + 1]];
+    const onBounds = (p, q) =>
+        (Math.abs(p[0] - bounds.minX) < EPSILON && Math.abs(q[0] - bounds.minX) < EPSILON) ||
+        (Math.abs(p[0] - bounds.maxX) < EPSILON && Math.abs(q[0] - bounds.maxX) < EPSILON) ||
+        (Math.abs(p[1] - bounds.minY) < EPSILON && Math.abs(q[1] - bounds.minY) < EPSILON) ||
+        (Math.abs(p[1] - bounds.maxY) < EPSILON && Math.abs(q[1] - bounds.maxY) < EPSILON);
+    const onObstacle = (p, q) => polygons.some(polygon => polygon.some((a, i) => {
+        const b = polygon[(i + 1) % polygon.length];
+        return distanceToSegment(p, a, b) < EPSILON && distanceToSegment(q, a, b) < EPSILON;
+    }));
+    const holeEdges = [];
+    edgeUse.forEach((count, key) => {
+        if (count !== 1) return;
+        const [a, b] = key.split(",").map(Number);
+        if (!onBounds(point(a), point(b)) && !onObstacle(point(a), point(b))) {
+            holeEdges.push([a, b]);
+        }
+    });
+
+    // group the hole edges into connected loops, one per hole
+    const parent = new Map();
+    const find = (v) => {
+        while (parent.get(v) !== v) {
+            parent.set(v, parent.get(parent.get(v)));
+            v = parent.get(v);
+        }
+        return v;
+    };
+    holeEdges.flat().forEach(v => parent.set(v, v));
+    holeEdges.forEach(([a, b]) => parent.set(find(a), find(b)));
+    const holesByRoot = new Map();
+    holeEdges.forEach(edge => {
+        const root = find(edge[0]);
+        if (!holesByRoot.has(root)) holesByRoot.set(root, []);
+        holesByRoot.get(root).push(edge);
+    });
+    const holes = [...holesByRoot.values()].map(edges => {
+        const hullVertices = [...new Set(edges.flat())];
+        return {
+            edges,
+            x: hullVertices.reduce((sum, v) => sum + vertices[v * 2], 0) / hullVertices.length,
+            y: hullVertices.reduce((sum, v) => sum + vertices[v * 2 + 1], 0) / hullVertices.length,
+        };
+    });
+
+    return { degenerate, overlaps, obstacleCrossings, holes };
+}
+
+export { validateTriangle, validateMesh, trianglesOverlap, segmentCrossesObstacle, distanceToSegment };
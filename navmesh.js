@@ -0,0 +1,442 @@
+import { buildTriangleGrid, locatePointInGrid } from "./spatial-index.js";
+
+/**
+ * Builds a navigation mesh from a triangulation. Two triangles are neighbours when they
+ * share an edge, so the holes cut out by the obstacle constraint loops (and by deleted
+ * edges) are never crossed.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data
+ * @returns {{vertices: Array<Number>, indices: Array<Number>, centroids: Array<Number>, neighbours: Array<Array<{triangle: Number, edge: [Number, Number]}>>, grid: Object}} The navigation mesh
+ */
+function buildNavMesh(triangleData) {
+    const { vertices, indices } = triangleData;
+    const triangleCount = indices.length / 3;
+    const centroids = [];
+    const neighbours = [];
+    const edgeOwners = new Map(); // "min,max" vertex pair -> triangles using that edge
+
+    for (let t = 0; t < triangleCount; t++) {
+        const tri = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+        centroids.push(
+            (vertices[tri[0] * 2] + vertices[tri[1] * 2] + vertices[tri[2] * 2]) / 3,
+            (vertices[tri[0] * 2 + 1] + vertices[tri[1] * 2 + 1] + vertices[tri[2] * 2 + 1]) / 3,
+        );
+        neighbours.push([]);
+
+        for (let e = 0; e < 3; e++) {
+            const a = tri[e];
+            const b = tri[(e + 1) % 3];
+            const key = a < b ? `${a},${b}` : `${b},${a}`;
+            if (!edgeOwners.has(key)) {
+                edgeOwners.set(key, []);
+            }
+            edgeOwners.get(key).push(t);
+        }
+    }
+
+    // every pair of triangles sharing an edge is connected through that edge (the portal)
+    edgeOwners.forEach((owners, key) => {
+        const edge = key.split(',').map(Number);
+        for (let i = 0; i < owners.length; i++) {
+            for (let j = i + 1; j < owners.length; j++) {
+                neighbours[owners[i]].push({ triangle: owners[j], edge });
+                neighbours[owners[j]].push({ triangle: owners[i], edge });
+            }
+        }
+    });
+
+    return { vertices, indices, centroids, neighbours, grid: buildTriangleGrid(triangleData) };
+}
+
+/**
+ * Finds the triangle of the navigation mesh containing a point.
+ * @param {Object} navMesh The navigation mesh from buildNavMesh
+ * @param {Number} x The x-coordinate of the point
+ * @param {Number} y The y-coordinate of the point
+ * @returns {Number} The triangle index, or -1 if the point is outside the mesh
+ */
+function locateTriangle(navMesh, x, y) {
+    return locatePointInGrid(navMesh.grid, navMesh, x, y);
+}
+
+/**
+ * Adds an entry to a binary min-heap ordered by its f value.
+ * @param {Array<{f: Number}>} heap The heap, changed in place
+ * @param {{f: Number}} entry The new entry
+ */
+function heapPush(heap, entry) {
+    heap.push(entry);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].f <= entry.f) break;
+        heap[i] = heap[parent];
+        i = parent;
+    }
+    heap[i] = entry;
+}
+
+/**
+ * Removes the entry with the smallest f value from a binary min-heap.
+ * @param {Array<{f: Number}>} heap The heap, changed in place
+ * @returns {{f: Number}} The removed entry
+ */
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        let i = 0;
+        while (true) {
+            const left = i * 2 + 1;
+            if (left >= heap.length) break;
+            const child = left + 1 < heap.length && heap[left + 1].f < heap[left].f ? left + 1 : left;
+            if (heap[child].f >= last.f) break;
+            heap[i] = heap[child];
+            i = child;
+        }
+        heap[i] = last;
+    }
+    return top;
+}
+
+/**
+ * Gets the midpoint of a portal edge.
+ * @param {Array<Number>} vertices The mesh vertices [x1, y1, x2, y2, ...]
+ * @param {[Number, Number]} edge The vertex indices of the edge
+ * @returns {Array<Number>} The midpoint [x, y]
+ */
+function getEdgeMidpoint(vertices, edge) {
+    return [(vertices[edge[0] * 2] + vertices[edge[1] * 2]) / 2, (vertices[edge[0] * 2 + 1] + vertices[edge[1] * 2 + 1]) / 2];
+}
+
+/**
+ * Runs an A* search over the triangle adjacency graph. A triangle is reached at the
+ * midpoint of the portal edge it is entered through, the cost of a step is the distance
+ * between those points, and the heuristic is the straight line distance to the goal.
+ * Measuring at portal midpoints instead of centroids keeps the corridor close to the
+ * geometrically shortest one.
+ * @param {Object} navMesh The navigation mesh from buildNavMesh
+ * @param {Number} startTriangle The triangle containing the start point
+ * @param {Number} goalTriangle The triangle containing the goal point
+ * @param {{x: Number, y: Number}} start The start point
+ * @param {{x: Number, y: Number}} goal The goal point
+ * @returns {Array<{triangle: Number, edge: [Number, Number]|null}>|null} The corridor of triangles with the portal edge used to enter each one, or null if the goal cannot be reached
+ */
+function findTriangleCorridor(navMesh, startTriangle, goalTriangle, start, goal) {
+    const { vertices, neighbours } = navMesh;
+
+    const gScore = new Map([[startTriangle, 0]]);
+    const entryPoint = new Map([[startTriangle, [start.x, start.y]]]);
+    const cameFrom = new Map(); // triangle -> {triangle, edge} it was entered from
+    const closed = new Set();
+    const open = [{ triangle: startTriangle, f: Math.hypot(start.x - goal.x, start.y - goal.y) }];
+
+    while (open.length > 0) {
+        const current = heapPop(open).triangle;
+
+        if (current === goalTriangle) {
+            // walk back to the start to get the corridor
+            const corridor = [];
+            let t = goalTriangle;
+            while (t !== startTriangle) {
+                const step = cameFrom.get(t);
+                corridor.unshift({ triangle: t, edge: step.edge });
+                t = step.triangle;
+            }
+            corridor.unshift({ triangle: startTriangle, edge: null });
+            return corridor;
+        }
+        if (closed.has(current)) continue;
+        closed.add(current);
+
+        const [fromX, fromY] = entryPoint.get(current);
+        for (const { triangle: next, edge } of neighbours[current]) {
+            if (closed.has(next)) continue;
+            const [midX, midY] = getEdgeMidpoint(vertices, edge);
+            const tentative = gScore.get(current) + Math.hypot(midX - fromX, midY - fromY);
+            if (tentative < (gScore.has(next) ? gScore.get(next) : Infinity)) {
+                gScore.set(next, tentative);
+                entryPoint.set(next, [midX, midY]);
+                cameFrom.set(next, { triangle: current, edge });
+                heapPush(open, { triangle: next, f: tentative + Math.hypot(midX - goal.x, midY - goal.y) });
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Straightens a triangle corridor into the shortest path through its portals using the
+ * funnel (string pulling) algorithm.
+ * @param {{x: Number, y: Number}} start The start point
+ * @param {{x: Number, y: Number}} goal The goal point
+ * @param {Array<{left: Array<Number>, right: Array<Number>}>} portals The portals between consecutive triangles, as seen walking from start to goal
+ * @returns {Array<Array<Number>>} The path points [[x1,y1], [x2,y2], ...], from start to goal
+ */
+function stringPull(start, goal, portals) {
+    // cross > 0 means c is to the left of the line a->b
+    const cross = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+    const equal = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+    const startPoint = [start.x, start.y];
+    const goalPoint = [goal.x, goal.y];
+    const allPortals = [{ left: startPoint, right: startPoint }, ...portals, { left: goalPoint, right: goalPoint }];
+
+    const path = [startPoint];
+    let apex = startPoint;
+    let left = startPoint;
+    let right = startPoint;
+    let apexIndex = 0;
+    let leftIndex = 0;
+    let rightIndex = 0;
+
+    for (let i = 1; i < allPortals.length; i++) {
+        const portalLeft = allPortals[i].left;
+        const portalRight = allPortals[i].right;
+
+        // try to narrow the right side of the funnel
+        if (cross(apex, right, portalRight) >= 0) {
+            if (equal(apex, right) || cross(apex, left, portalRight) < 0) {
+                right = portalRight;
+                rightIndex = i;
+            } else {
+                // the right side crossed over the left side, so the left point is a corner of the path
+                path.push(left);
+                apex = left;
+                apexIndex = leftIndex;
+                right = apex;
+                rightIndex = apexIndex;
+                i = apexIndex;
+                continue;
+            }
+        }
+
+        // try to narrow the left side of the funnel
+        if (cross(apex, left, portalLeft) <= 0) {
+            if (equal(apex, left) || cross(apex, right, portalLeft) > 0) {
+                left = portalLeft;
+                leftIndex = i;
+            } else {
+                // the left side crossed over the right side, so the right point is a corner of the path
+                path.push(right);
+                apex = right;
+                apexIndex = rightIndex;
+                left = apex;
+                leftIndex = apexIndex;
+                i = apexIndex;
+                continue;
+            }
+        }
+    }
+
+    path.push(goalPoint);
+
+    // restarting the scan can add the same corner twice in a row
+    return path.filter((point, i) => i === 0 || !equal(point, path[i - 1]));
+}
+
+/**
+ * Runs a Dijkstra search from a goal over the whole triangle adjacency graph, with the same
+ * step costs as findTriangleCorridor. Every reachable triangle learns the neighbour to step
+ * into on its way to the goal, so all people walking to the goal share one search.
+ * @param {Object} navMesh The navigation mesh from buildNavMesh
+ * @param {Number} goalTriangle The triangle containing the goal point
+ * @param {{x: Number, y: Number}} goal The goal point
+ * @returns {{towards: Array<{triangle: Number, edge: [Number, Number]}|undefined>, distance: Float64Array, entryPoint: Array<Array<Number>>}}
+ * The next step of every triangle towards the goal (undefined for the goal triangle and for triangles that cannot
+ * reach it), and the distance to the goal from the point where each triangle is left
+ */
+function buildGoalField(navMesh, goalTriangle, goal) {
+    const { vertices, neighbours } = navMesh;
+    const distance = new Float64Array(neighbours.length).fill(Infinity);
+    const entryPoint = []; // where each triangle is left towards the goal
+    const towards = [];
+    const closed = new Uint8Array(neighbours.length);
+    distance[goalTriangle] = 0;
+    entryPoint[goalTriangle] = [goal.x, goal.y];
+    const open = [{ triangle: goalTriangle, f: 0 }];
+
+    while (open.length > 0) {
+        const current = heapPop(open).triangle;
+        if (closed[current]) continue;
+        closed[current] = 1;
+
+        const [fromX, fromY] = entryPoint[current];
+        for (const { triangle: next, edge } of neighbours[current]) {
+            if (closed[next]) continue;
+            const [midX, midY] = getEdgeMidpoint(vertices, edge);
+            const tentative = distance[current] + Math.hypot(midX - fromX, midY - fromY);
+            if (tentative < distance[next]) {
+                distance[next] = tentative;
+                entryPoint[next] = [midX, midY];
+                towards[next] = { triangle: current, edge };
+                heapPush(open, { triangle: next, f: tentative });
+            }
+        }
+    }
+    return { towards, distance, entryPoint };
+}
+
+/**
+ * Orients every portal edge of a corridor as left/right, as seen walking from one triangle to the next.
+ * @param {Object} navMesh The navigation mesh from buildNavMesh
+ * @param {Array<{triangle: Number, edge: [Number, Number]|null}>} corridor The corridor, from the start triangle to the goal triangle
+ * @returns {Array<{left: Array<Number>, right: Array<Number>}>} The portals for stringPull
+ */
+function getCorridorPortals(navMesh, corridor) {
+    const { vertices, centroids } = navMesh;
+    const portals = [];
+    for (let i = 1; i < corridor.length; i++) {
+        const from = corridor[i - 1].triangle;
+        const [a, b] = corridor[i].edge;
+        const pa = [vertices[a * 2], vertices[a * 2 + 1]];
+        const pb = [vertices[b * 2], vertices[b * 2 + 1]];
+        const cx = centroids[from * 2];
+        const cy = centroids[from * 2 + 1];
+        const aIsLeft = (pb[0] - cx) * (pa[1] - cy) - (pb[1] - cy) * (pa[0] - cx) > 0;
+        portals.push(aIsLeft ? { left: pa, right: pb } : { left: pb, right: pa });
+    }
+    return portals;
+}
+
+/**
+ * Finds a path between two points over the navigation mesh, using A* over the triangle
+ * adjacency graph followed by the funnel algorithm.
+ * @param {Object} navMesh The navigation mesh from buildNavMesh
+ * @param {{x: Number, y: Number}} start The start point
+ * @param {{x: Number, y: Number}} goal The goal point
+ * @returns {Array<Array<Number>>|null} The path points [[x1,y1], [x2,y2], ...], or null if either point is outside the mesh or the goal is unreachable
+ */
+function findPath(navMesh, start, goal) {
+    const startTriangle = locateTriangle(navMesh, start.x, start.y);
+    const goalTriangle = locateTriangle(navMesh, goal.x, goal.y);
+    if (startTriangle === -1 || goalTriangle === -1) {
+        return null;
+    }
+
+    const corridor = findTriangleCorridor(navMesh, startTriangle, goalTriangle, start, goal);
+    if (!corridor) {
+        return null;
+    }
+    return stringPull(start, goal, getCorridorPortals(navMesh, corridor));
+}
+
+/**
+ * Plans a path for every person to the goal closest to them (in a straight line). People
+ * share few goals, so every goal gets one search over the whole mesh (buildGoalField),
+ * and each person only follows it from their triangle and runs the funnel pass.
+ * @param {Object} navMesh The navigation mesh from buildNavMesh
+ * @param {Array<Number>} people The array of people positions [x1, y1, x2, y2, ...]
+ * @param {Array<Number>} goals The array of goal positions [x1, y1, x2, y2, ...]
+ * @returns {{paths: Array<Array<Array<Number>>|null>, waypoints: Array<Number>}} The path of every person (null if it has none)
+ * and the index of the path point each person is currently walking to
+ */
+function planPaths(navMesh, people, goals) {
+    const paths = [];
+    const waypoints = [];
+    const fields = new Map(); // goal index -> the goal, its triangle and its buildGoalField result, built when a person first walks to the goal
+    const getField = (g) => {
+        if (!fields.has(g)) {
+            const goal = { x: goals[g * 2], y: goals[g * 2 + 1] };
+            const triangle = locateTriangle(navMesh, goal.x, goal.y);
+            fields.set(g, { goal, triangle, ...(triangle === -1 ? {} : buildGoalField(navMesh, triangle, goal)) });
+        }
+        return fields.get(g);
+    };
+
+    for (let i = 0; i < people.length; i += 2) {
+        const start = { x: people[i], y: people[i + 1] };
+        waypoints.push(1); // point 0 is where the person stood when the path was planned
+
+        let closestGoal = -1;
+        let closestDistSq = Infinity;
+        for (let g = 0; g < goals.length; g += 2) {
+            const distSq = (goals[g] - start.x) ** 2 + (goals[g + 1] - start.y) ** 2;
+            if (distSq < closestDistSq) {
+                closestDistSq = distSq;
+                closestGoal = g / 2;
+            }
+        }
+        const startTriangle = closestGoal === -1 ? -1 : locateTriangle(navMesh, start.x, start.y);
+        const field = startTriangle === -1 ? null : getField(closestGoal);
+        if (!field || field.triangle === -1) {
+            paths.push(null);
+            continue;
+        }
+
+        // the field measures from where a triangle is left, so the first step is chosen from the start point itself
+        const corridor = [{ triangle: startTriangle, edge: null }];
+        let t = startTriangle;
+        let firstStep = field.towards[t];
+        if (t !== field.triangle) {
+            let bestCost = Infinity;
+            for (const { triangle: next, edge } of navMesh.neighbours[t]) {
+                if (field.towards[next]?.triangle === t) continue; // that way leads back through the start triangle
+                const [midX, midY] = getEdgeMidpoint(navMesh.vertices, edge);
+                const [entryX, entryY] = field.entryPoint[next] ?? [midX, midY];
+                const cost = Math.hypot(midX - start.x, midY - start.y) + Math.hypot(entryX - midX, entryY - midY) + field.distance[next];
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    firstStep = { triangle: next, edge };
+                }
+            }
+        }
+        for (let step = firstStep; t !== field.triangle && step; step = field.towards[t]) {
+            corridor.push({ triangle: step.triangle, edge: step.edge });
+            t = step.triangle;
+        }
+        paths.push(t === field.triangle ? stringPull(start, field.goal, getCorridorPortals(navMesh, corridor)) : null);
+    }
+    return { paths, waypoints };
+}
+
+/**
+ * Advances every person along its path once it is close to its next waypoint, and returns
+ * the point each person should currently walk to.
+ * @param {{paths: Array<Array<Array<Number>>|null>, waypoints: Array<Number>}} navigation The planned paths from planPaths
+ * @param {Array<Number>} people The array of people positions [x1, y1, x2, y2, ...]
+ * @param {Number} reachRadius How close a person has to get to a waypoint to move on to the next one
+ * @returns {Float64Array} The targets [x1, y1, final1, ...], NaN for people without a path, final is 1 for the last point of a path
+ */
+function getNavigationTargets(navigation, people, reachRadius) {
+    const count = people.length / 2;
+    const targets = new Float64Array(count * 3).fill(NaN);
+    for (let i = 0; i < count; i++) {
+        const path = navigation.paths[i];
+        if (!path) continue;
+
+        let waypoint = navigation.waypoints[i];
+        while (waypoint < path.length - 1 &&
+            Math.hypot(path[waypoint][0] - people[i * 2], path[waypoint][1] - people[i * 2 + 1]) < reachRadius) {
+            waypoint++;
+        }
+        navigation.waypoints[i] = waypoint;
+
+        targets[i * 3] = path[waypoint][0];
+        targets[i * 3 + 1] = path[waypoint][1];
+        targets[i * 3 + 2] = waypoint === path.length - 1 ? 1 : 0;
+    }
+    return targets;
+}
+
+/**
+ * Builds line segments showing the part of every path that is still ahead of each person.
+ * @param {{paths: Array<Array<Array<Number>>|null>, waypoints: Array<Number>}} navigation The planned paths from planPaths
+ * @param {Array<Number>} people The array of people positions [x1, y1, x2, y2, ...]
+ * @returns {Array<Number>} A flat array of segment end points [x1, y1, x2, y2, ...], for drawing with gl.LINES
+ */
+function getPathLines(navigation, people) {
+    const lines = [];
+    for (let i = 0; i < people.length / 2; i++) {
+        const path = navigation.paths[i];
+        if (!path) continue;
+
+        let previous = [people[i * 2], people[i * 2 + 1]];
+        for (let p = navigation.waypoints[i]; p < path.length; p++) {
+            lines.push(previous[0], previous[1], path[p][0], path[p][1]);
+            previous = path[p];
+        }
+    }
+    return lines;
+}
+
+export { buildNavMesh, locateTriangle, findPath, planPaths, getNavigationTargets, getPathLines };
\ No newline at end of file
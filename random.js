@@ -0,0 +1,47 @@
+/**
+ * A small seedable pseudo random number generator (mulberry32) shared by every part of the
+ * scene that needs randomness, so that a scene can be reproduced from its seed.
+ */
+let seed = 0;
+let state = 0;
+
+/**
+ * Restarts the generator from a seed.
+ * @param {Number} newSeed The seed, an unsigned 32-bit integer
+ */
+function setSeed(newSeed) {
+    seed = newSeed >>> 0;
+    state = seed;
+}
+
+/**
+ * Gets the seed the generator was last started from.
+ * @returns {Number} The seed
+ */
+function getSeed() {
+    return seed;
+}
+
+/**
+ * Creates a new seed. This is the only place that uses the browser's own generator.
+ * @returns {Number} A random unsigned 32-bit integer
+ */
+function createRandomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Returns the next number of the sequence.
+ * @returns {Number} A number in [0, 1), like Math.random()
+ */
+function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+setSeed(createRandomSeed());
+
+export { setSeed, getSeed, createRandomSeed, random };
\ No newline at end of file
@@ -0,0 +1,125 @@
+import { triangulateWithObstacle, countPeoplePerTriangle, isPointInAnyObstacle } from "./math.js";
+
+/**
+ * Default settings of the automatic mesh refinement.
+ */
+const BALANCE_OPTIONS = {
+    maxIterations: 50, // the iteration budget, each iteration retriangulates once
+    tolerance: 1, // a triangle is balanced when its count is within this many people of the threshold
+    maxDots: 1000, // never grow the mesh beyond this many dots, the maximum of the dots slider
+    minArea: 4, // triangles smaller than this (in square world units) are not split any further
+};
+
+/**
+ * Calculates the spread of the per-triangle people counts.
+ * @param {Array<Number>} counts The number of people in each triangle
+ * @returns {{triangles: Number, min: Number, max: Number, mean: Number, variance: Number, stdDev: Number}} The summary of the counts
+ */
+function summarizeCounts(counts) {
+    if (counts.length === 0) {
+        return { triangles: 0, min: 0, max: 0, mean: 0, variance: 0, stdDev: 0 };
+    }
+    const mean = counts.reduce((sum, c) => sum + c, 0) / counts.length;
+    const variance = counts.reduce((sum, c) => sum + (c - mean) ** 2, 0) / counts.length;
+    return {
+        triangles: counts.length,
+        min: counts.reduce((smallest, c) => Math.min(smallest, c), Infinity),
+        max: counts.reduce((largest, c) => Math.max(largest, c), -Infinity),
+        mean,
+        variance,
+        stdDev: Math.sqrt(variance),
+    };
+}
+
+/**
+ * Refines the triangulation until every triangle holds close to the target number of people.
+ * Each iteration inserts a Steiner point (a new dot at the centroid) into every overpopulated
+ * triangle, and removes dots whose surrounding triangles are all underpopulated (merging them
+ * into one bigger triangle fan), then retriangulates. It stops when every triangle is balanced,
+ * when nothing can be changed any more, or when the iteration budget runs out.
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {Array<Number>} dots The array of dot positions [x1, y1, x2, y2, ...]
+ * @param {Array<Number>} corners The world corner positions [x1, y1, ...], appended after the dots
+ * @param {Array<Number>} people The array of people positions [x1, y1, x2, y2, ...]
+ * @param {Number} densityThreshold The target number of people per triangle
+ * @param {Object} options The refinement settings, see BALANCE_OPTIONS
+ * @returns {{dots: Array<Number>, triangle: {vertices: Array<Number>, indices: Array<Number>}, counts: Array<Number>, iterations: Number, converged: boolean, summary: Object}} The refined dots and triangulation
+ */
+function autoBalanceMesh(obstacles, dots, corners, people, densityThreshold, options = BALANCE_OPTIONS) {
+    const { maxIterations, tolerance, maxDots, minArea } = { ...BALANCE_OPTIONS, ...options };
+    let currentDots = dots.slice();
+    let triangle = triangulateWithObstacle(obstacles, currentDots.concat(corners));
+    let counts = countPeoplePerTriangle(triangle, people);
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < maxIterations) {
+        converged = counts.every(count => Math.abs(count - densityThreshold) <= tolerance);
+        if (converged) {
+            break;
+        }
+        iterations++;
+
+        const { vertices, indices } = triangle;
+        const dotCount = currentDots.length / 2; // vertices below this index are dots, the rest are corners and obstacle vertices
+        const newDots = [];
+
+        // 1. split overpopulated (red) triangles at their centroid
+        for (let t = 0; t < counts.length; t++) {
+            if (counts[t] <= densityThreshold + tolerance || dotCount + newDots.length / 2 >= maxDots) continue;
+            const [a, b, c] = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+            const area = Math.abs(
+                (vertices[b * 2] - vertices[a * 2]) * (vertices[c * 2 + 1] - vertices[a * 2 + 1]) -
+                (vertices[c * 2] - vertices[a * 2]) * (vertices[b * 2 + 1] - vertices[a * 2 + 1])
+            ) / 2;
+            if (area < minArea) continue;
+            const cx = (vertices[a * 2] + vertices[b * 2] + vertices[c * 2]) / 3;
+            const cy = (vertices[a * 2 + 1] + vertices[b * 2 + 1] + vertices[c * 2 + 1]) / 3;
+            if (!isPointInAnyObstacle(obstacles, cx, cy)) {
+                newDots.push(cx, cy);
+            }
+        }
+
+        // 2. remove dots inside runs of underpopulated (blue) triangles, if the merged area
+        //    does not become overpopulated. A removed dot locks its neighbours for this
+        //    iteration so that two neighbouring removals cannot merge too much at once.
+        const incident = new Map(); // dot index -> triangles using it
+        for (let t = 0; t < counts.length; t++) {
+            for (let k = 0; k < 3; k++) {
+                const v = indices[t * 3 + k];
+                if (v >= dotCount) continue;
+                if (!incident.has(v)) incident.set(v, []);
+                incident.get(v).push(t);
+            }
+        }
+        const removed = new Set();
+        const locked = new Set();
+        incident.forEach((triangles, v) => {
+            if (locked.has(v)) return;
+            const allUnder = triangles.every(t => counts[t] < densityThreshold - tolerance);
+            const merged = triangles.reduce((sum, t) => sum + counts[t], 0);
+            if (!allUnder || merged > densityThreshold + tolerance) return;
+            removed.add(v);
+            triangles.forEach(t => {
+                for (let k = 0; k < 3; k++) locked.add(indices[t * 3 + k]);
+            });
+        });
+
+        if (newDots.length === 0 && removed.size === 0) {
+            break; // nothing left to change
+        }
+
+        const keptDots = [];
+        for (let i = 0; i < dotCount; i++) {
+            if (!removed.has(i)) keptDots.push(currentDots[i * 2], currentDots[i * 2 + 1]);
+        }
+        currentDots = keptDots.concat(newDots);
+        triangle = triangulateWithObstacle(obstacles, currentDots.concat(corners));
+        counts = countPeoplePerTriangle(triangle, people);
+    }
+    converged = counts.every(count => Math.abs(count - densityThreshold) <= tolerance);
+
+    return { dots: currentDots, triangle, counts, iterations, converged, summary: summarizeCounts(counts) };
+}
+
+export { BALANCE_OPTIONS, autoBalanceMesh, summarizeCounts };
\ No newline at end of file
@@ -0,0 +1,294 @@
+import { isSimplePolygon, isPointInAnyObstacle, obstaclesOverlap, findCornerOutsideBounds } from "./math.js";
+import { createMeshEdits } from "./mesh-constraints.js";
+import { ZONE_TYPES } from "./zones.js";
+
+/**
+ * The version written into every scene file. Files with any other version are rejected.
+ */
+const SCENE_FILE_VERSION = 1;
+
+/**
+ * Turns a scene into a JSON document.
+ * @param {Object} scene The scene to save
+ * @param {Array<Object>} scene.obstacles The list of obstacles
+ * @param {Array<Object>} scene.zones The list of spawn and exit zones, from createZone in zones.js
+ * @param {Array<Number>} scene.dots The array of dot positions [x1, y1, x2, y2, ...]
+ * @param {Array<Number>} scene.people The array of people positions [x1, y1, x2, y2, ...]
+ * @param {Array<Number>} scene.goals The array of goal positions [x1, y1, x2, y2, ...]
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} scene.bounds The world bounds
+ * @param {Array<Number>} scene.indices The triangle indices, including manual edits
+ * @param {Number} scene.density The density threshold
+ * @param {'count'|'area'} scene.densityMetric Whether triangles are judged by their people count or by people per square meter
+ * @param {Number} scene.areaDensity The threshold in people per square meter of the 'area' metric
+ * @param {Number} scene.metersPerUnit The size of a world unit in meters
+ * @param {String} scene.editMode The edit mode
+ * @param {Number} scene.seed The seed of the random number generator
+ * @param {Object} scene.edits The manual mesh edits from mesh-constraints.js
+ * @returns {String} The JSON document
+ */
+function serializeScene(scene) {
+    return JSON.stringify({
+        version: SCENE_FILE_VERSION,
+        bounds: scene.bounds,
+        obstacles: scene.obstacles.map(obstacle => ({
+            x: obstacle.x,
+            y: obstacle.y,
+            scale: obstacle.scale,
+            rotation: obstacle.rotation,
+            shape: obstacle.shape,
+        })),
+        zones: scene.zones.map(zone => ({
+            type: zone.type,
+            x: zone.x,
+            y: zone.y,
+            scale: zone.scale,
+            rotation: zone.rotation,
+            shape: zone.shape,
+            rate: zone.rate,
+        })),
+        dots: scene.dots,
+        people: scene.people,
+        goals: scene.goals,
+        indices: scene.indices,
+        density: scene.density,
+        densityMetric: scene.densityMetric,
+        areaDensity: scene.areaDensity,
+        metersPerUnit: scene.metersPerUnit,
+        editMode: scene.editMode,
+        seed: scene.seed,
+        edits: scene.edits,
+    }, null, 2);
+}
+
+/**
+ * Throws an error if a value is not a finite number in [min, max].
+ * @param {*} value The value to check
+ * @param {String} name The name of the value, used in the error message
+ * @param {Number} min The smallest allowed value
+ * @param {Number} max The largest allowed value
+ */
+function checkNumber(value, name, min = -Infinity, max = Infinity) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${name} must be a number`);
+    }
+    if (value < min || value > max) {
+        throw new Error(`${name} must be between ${min} and ${max}, got ${value}`);
+    }
+}
+
+/**
+ * Throws an error if a value is not a flat array of positions inside the bounds.
+ * @param {*} value The value to check
+ * @param {String} name The name of the value, used in the error message
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ */
+function checkPositions(value, name, bounds) {
+    if (!Array.isArray(value) || value.length % 2 !== 0) {
+        throw new Error(`${name} must be a flat array of x, y pairs`);
+    }
+    for (let i = 0; i < value.length; i += 2) {
+        checkNumber(value[i], `${name}[${i}]`, bounds.minX, bounds.maxX);
+        checkNumber(value[i + 1], `${name}[${i + 1}]`, bounds.minY, bounds.maxY);
+    }
+}
+
+/**
+ * Throws an error if a value is not an array of manual mesh edits with a number of vertex keys each.
+ * @param {*} value The value to check
+ * @param {String} name The name of the value, used in the error message
+ * @param {Number} size The number of vertex keys of every edit
+ */
+function checkEditKeys(value, name, size) {
+    if (!Array.isArray(value)) {
+        throw new Error(`${name} must be an array`);
+    }
+    value.forEach((keys, i) => {
+        if (!Array.isArray(keys) || keys.length !== size || !keys.every(key => typeof key === 'string' && /^([dc]\d+|o\d+:\d+)$/.test(key))) {
+            throw new Error(`${name}[${i}] must be an array of ${size} vertex keys such as "d3", "c1" or "o2:5"`);
+        }
+    });
+}
+
+/**
+ * Throws an error if a value is not an obstacle-like placement: a simple local shape with a
+ * position inside the bounds, a scale and a rotation. Obstacles and zones are placed this way.
+ * @param {*} value The value to check
+ * @param {String} name The name of the value, used in the error message
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @param {{minScale: Number, maxScale: Number}} limits The scale limits
+ * @returns {{x: Number, y: Number, scale: Number, rotation: Number, shape: Array<Array<Number>>}} The placement, without other fields
+ */
+function checkPlacement(value, name, bounds, limits) {
+    if (value === null || typeof value !== 'object') {
+        throw new Error(`${name} must be an object`);
+    }
+    checkNumber(value.x, `${name}.x`, bounds.minX, bounds.maxX);
+    checkNumber(value.y, `${name}.y`, bounds.minY, bounds.maxY);
+    checkNumber(value.scale, `${name}.scale`, limits.minScale, limits.maxScale);
+    checkNumber(value.rotation, `${name}.rotation`);
+    if (!Array.isArray(value.shape) || value.shape.length < 3) {
+        throw new Error(`${name}.shape must be an array of at least 3 vertices`);
+    }
+    value.shape.forEach((point, i) => {
+        if (!Array.isArray(point) || point.length !== 2) {
+            throw new Error(`${name}.shape[${i}] must be an [x, y] pair`);
+        }
+        checkNumber(point[0], `${name}.shape[${i}][0]`);
+        checkNumber(point[1], `${name}.shape[${i}][1]`);
+    });
+    if (!isSimplePolygon(value.shape)) {
+        throw new Error(`${name}.shape must be a simple polygon (its edges cross)`);
+    }
+    return { x: value.x, y: value.y, scale: value.scale, rotation: value.rotation, shape: value.shape };
+}
+
+/**
+ * Reads and validates a scene file written by serializeScene.
+ * @param {String} text The JSON document
+ * @param {Object} limits The limits of the current application
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} limits.bounds The largest world the canvas can show
+ * @param {Number} limits.minScale The smallest obstacle and zone scale
+ * @param {Number} limits.maxScale The largest obstacle and zone scale
+ * @param {Number} limits.maxDensity The largest density threshold
+ * @param {{min: Number, max: Number, step: Number}} limits.areaDensity The range and step of the area density threshold
+ * @param {{min: Number, max: Number}} limits.metersPerUnit The range of the world scale
+ * @param {Array<String>} limits.editModes The known edit modes
+ * @returns {Object} The scene, in the same form as the input of serializeScene
+ * @throws {Error} If the document is malformed or out of range, with a message saying what is wrong
+ */
+function parseScene(text, limits) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON (${error.message})`);
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error("The file does not contain a scene");
+    }
+    if (data.version !== SCENE_FILE_VERSION) {
+        throw new Error(`Unsupported scene version ${data.version}, expected ${SCENE_FILE_VERSION}`);
+    }
+
+    // the bounds have to fit in the world the canvas shows
+    const bounds = data.bounds;
+    if (bounds === null || typeof bounds !== 'object') {
+        throw new Error("bounds must be an object with minX, maxX, minY and maxY");
+    }
+    checkNumber(bounds.minX, "bounds.minX", limits.bounds.minX, limits.bounds.maxX);
+    checkNumber(bounds.maxX, "bounds.maxX", limits.bounds.minX, limits.bounds.maxX);
+    checkNumber(bounds.minY, "bounds.minY", limits.bounds.minY, limits.bounds.maxY);
+    checkNumber(bounds.maxY, "bounds.maxY", limits.bounds.minY, limits.bounds.maxY);
+    if (bounds.minX >= bounds.maxX || bounds.minY >= bounds.maxY) {
+        throw new Error("bounds must have minX < maxX and minY < maxY");
+    }
+
+    if (!Array.isArray(data.obstacles)) {
+        throw new Error("obstacles must be an array");
+    }
+    const obstacles = data.obstacles.map((obstacle, index) => checkPlacement(obstacle, `obstacles[${index}]`, bounds, limits));
+    obstacles.forEach((obstacle, i) => {
+        const outside = findCornerOutsideBounds(obstacle, bounds);
+        if (outside !== -1) {
+            throw new Error(`Vertex ${outside} of obstacles[${i}] is outside the bounds`);
+        }
+        for (let j = 0; j < i; j++) {
+            if (obstaclesOverlap(obstacles[j], obstacle)) {
+                throw new Error(`obstacles[${j}] and obstacles[${i}] overlap`);
+            }
+        }
+    });
+
+    // files saved before zones were added have none. Zones may overlap obstacles and each other
+    const zoneData = data.zones ?? [];
+    if (!Array.isArray(zoneData)) {
+        throw new Error("zones must be an array");
+    }
+    const zones = zoneData.map((zone, index) => {
+        const name = `zones[${index}]`;
+        const placement = checkPlacement(zone, name, bounds, limits);
+        // people spawn anywhere in a zone, so it has to lie inside the mesh like an obstacle
+        const outside = findCornerOutsideBounds(placement, bounds);
+        if (outside !== -1) {
+            throw new Error(`Vertex ${outside} of ${name} is outside the bounds`);
+        }
+        if (!ZONE_TYPES.includes(zone.type)) {
+            throw new Error(`${name}.type must be one of ${ZONE_TYPES.join(", ")}, got ${zone.type}`);
+        }
+        checkNumber(zone.rate, `${name}.rate`, 0);
+        return { type: zone.type, ...placement, rate: zone.rate, pending: 0 };
+    });
+
+    checkPositions(data.dots, "dots", bounds);
+    checkPositions(data.people, "people", bounds);
+    checkPositions(data.goals ?? [], "goals", bounds);
+    // the dots are vertices of the saved mesh, so they cannot be moved out of the obstacles on load
+    for (let i = 0; i < data.dots.length; i += 2) {
+        if (isPointInAnyObstacle(obstacles, data.dots[i], data.dots[i + 1])) {
+            throw new Error(`Dot ${i / 2} is inside an obstacle`);
+        }
+    }
+
+    // the mesh vertices are the dots, then the 4 corners, then the vertices of every obstacle
+    const vertexCount = data.dots.length / 2 + 4 + obstacles.reduce((sum, obstacle) => sum + obstacle.shape.length, 0);
+    if (!Array.isArray(data.indices) || data.indices.length % 3 !== 0) {
+        throw new Error("indices must be an array of triangles (its length must be a multiple of 3)");
+    }
+    data.indices.forEach((index, i) => {
+        if (!Number.isInteger(index) || index < 0 || index >= vertexCount) {
+            throw new Error(`indices[${i}] must be a vertex index between 0 and ${vertexCount - 1}, got ${index}`);
+        }
+    });
+
+    checkNumber(data.density, "density", 0, limits.maxDensity);
+    if (!Number.isInteger(data.density)) {
+        throw new Error(`density must be a whole number of people, got ${data.density}`);
+    }
+    // files saved before area-normalized densities have the defaults of createSimulation
+    const densityMetric = data.densityMetric ?? 'count';
+    if (densityMetric !== 'count' && densityMetric !== 'area') {
+        throw new Error(`densityMetric must be count or area, got ${densityMetric}`);
+    }
+    const areaDensity = data.areaDensity ?? 0.5;
+    checkNumber(areaDensity, "areaDensity", limits.areaDensity.min, limits.areaDensity.max);
+    const steps = areaDensity / limits.areaDensity.step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-6) {
+        throw new Error(`areaDensity must be a multiple of ${limits.areaDensity.step}, got ${areaDensity}`);
+    }
+    const metersPerUnit = data.metersPerUnit ?? 0.1;
+    checkNumber(metersPerUnit, "metersPerUnit", limits.metersPerUnit.min, limits.metersPerUnit.max);
+    if (!limits.editModes.includes(data.editMode)) {
+        throw new Error(`editMode must be one of ${limits.editModes.join(", ")}, got ${data.editMode}`);
+    }
+    const seed = data.seed ?? 0;
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+        throw new Error(`seed must be an unsigned 32-bit integer, got ${seed}`);
+    }
+    // files saved before manual edits were kept have none
+    const edits = data.edits ?? createMeshEdits();
+    if (edits === null || typeof edits !== 'object') {
+        throw new Error("edits must be an object with forcedEdges, forbiddenEdges and userTriangles");
+    }
+    checkEditKeys(edits.forcedEdges, "edits.forcedEdges", 2);
+    checkEditKeys(edits.forbiddenEdges, "edits.forbiddenEdges", 2);
+    checkEditKeys(edits.userTriangles, "edits.userTriangles", 3);
+
+    return {
+        obstacles,
+        zones,
+        dots: data.dots,
+        people: data.people,
+        goals: data.goals ?? [],
+        bounds: { maxX: bounds.maxX, minX: bounds.minX, maxY: bounds.maxY, minY: bounds.minY },
+        indices: data.indices,
+        density: data.density,
+        densityMetric,
+        areaDensity,
+        metersPerUnit,
+        editMode: data.editMode,
+        seed,
+        edits: { forcedEdges: edits.forcedEdges, forbiddenEdges: edits.forbiddenEdges, userTriangles: edits.userTriangles },
+    };
+}
+
+export { SCENE_FILE_VERSION, serializeScene, parseScene };
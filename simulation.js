@@ -0,0 +1,405 @@
+import { updateCollisions, resizePoints, getTriangleDensity } from "./math.js";
+import { flipEdge, insertVertex, moveVertex, deleteVertex } from "./mesh-edit.js";
+import { validateTriangle } from "./mesh-validation.js";
+import { autoBalanceMesh } from "./refine.js";
+import { createMeshEdits, getVertexKey, recordForcedEdge, recordForbiddenEdge, recordUserTriangle, removeDotFromEdits, removeObstacleFromEdits, triangulateWithEdits } from "./mesh-constraints.js";
+import { getSpawnPosition, emitPeople, findExitedPeople, removeIndices } from "./zones.js";
+import { UNIFORM_DISTRIBUTION, generateDistributedPoints } from "./distributions.js";
+
+/**
+ * The simulation core: the scene state and the operations on it, without the DOM or WebGL,
+ * so scenes can be driven from Node scripts as well as from the page. Every operation that
+ * changes the scene notifies the subscribers; the renderer is one of them and rebuilds its
+ * buffers from the state. The triangulation needs cdt2d, which Node scripts pass to setCdt2d
+ * from math.js first:
+ *
+ *     setCdt2d(require("cdt2d"));
+ *     const sim = createSimulation({ bounds: { maxX: 150, minX: -150, maxY: 100, minY: -100 } });
+ *     generatePoints(sim, 40, 200);
+ *     const density = getDensity(sim);
+ */
+
+/**
+ * Gets the corners of the world, which are the mesh vertices right after the dots.
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @returns {Array<Number>} The corners [x1, y1, ...], clockwise from the top-left one
+ */
+function getWorldCorners(bounds) {
+    const { maxX, minX, maxY, minY } = bounds;
+    return [
+        minX, maxY, // Top-left
+        maxX, maxY, // Top-right
+        maxX, minY, // Bottom-right
+        minX, minY, // Bottom-left
+    ];
+}
+
+/**
+ * Creates a simulation without dots or people.
+ * @param {Object} options The initial scene
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} options.bounds The world bounds
+ * @param {Array<Object>} [options.obstacles=[]] The list of obstacles
+ * @param {Number} [options.density=4] The target number of people per triangle
+ * @returns {Object} The simulation state: bounds, corners, obstacles, spawn and exit zones, dots, people,
+ * the distributions new people and dots are drawn from, the triangle mesh, the manual mesh edits and the ones
+ * that are broken, the density settings and the subscribers
+ */
+function createSimulation({ bounds, obstacles = [], density = 4 }) {
+    const sim = {
+        bounds: { ...bounds },
+        corners: getWorldCorners(bounds),
+        obstacles,
+        zones: [],
+        dots: [],
+        people: [],
+        // the distributions from distributions.js that generatePoints and resizePopulation draw from
+        distributions: { people: UNIFORM_DISTRIBUTION, dots: UNIFORM_DISTRIBUTION },
+        triangle: { vertices: [], indices: [] },
+        edits: createMeshEdits(),
+        brokenEdits: [],
+        // 'count' judges people per triangle against threshold, 'area' people per square meter against areaThreshold
+        density: { threshold: density, metric: 'count', areaThreshold: 0.5, metersPerUnit: 0.1 },
+        listeners: [],
+    };
+    triangulate(sim);
+    return sim;
+}
+
+/**
+ * Calls a function after every change of the scene.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {function({meshChanged: boolean, respawned: Number, triangulationTime: Number}): void} listener Called with
+ * whether the triangle mesh changed, how many people collisions moved and how long the triangulation took in milliseconds
+ * @returns {function(): void} Stops calling the function
+ */
+function subscribe(sim, listener) {
+    sim.listeners.push(listener);
+    return () => {
+        sim.listeners = sim.listeners.filter(other => other !== listener);
+    };
+}
+
+/**
+ * Tells every subscriber that the scene changed.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {boolean} meshChanged Whether the triangle mesh changed
+ * @param {{respawned: Number, triangulationTime: Number}} [work] How many people collisions moved, and how long
+ * the triangulation took in milliseconds
+ */
+function notify(sim, meshChanged, work = { respawned: 0, triangulationTime: 0 }) {
+    sim.listeners.forEach(listener => listener({ meshChanged, ...work }));
+}
+
+/**
+ * Changes the world bounds. The corners are changed in place, and nothing is triangulated
+ * again, so the caller decides whether the current mesh stays.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The new world bounds
+ */
+function setBounds(sim, bounds) {
+    sim.bounds = { maxX: bounds.maxX, minX: bounds.minX, maxY: bounds.maxY, minY: bounds.minY };
+    sim.corners.splice(0, sim.corners.length, ...getWorldCorners(bounds));
+}
+
+/**
+ * Draws points from one of the distributions of the simulation, outside of the obstacles.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Number} count The number of points
+ * @param {'people'|'dots'} kind Whose distribution to draw from
+ * @param {Array<Number>} [existing=[]] The points the new ones are added to, see generateDistributedPoints
+ * @returns {Array<Number>} The new points [x1, y1, x2, y2, ...], fewer than the count if the distribution runs out of space
+ */
+function generateFromDistribution(sim, count, kind, existing = []) {
+    return generateDistributedPoints(count, sim.bounds, sim.obstacles, sim.distributions[kind], existing);
+}
+
+/**
+ * Generates new people and dots, in this order, from their distributions and the seeded
+ * generator, then removes collisions and triangulates. The manual edits refer to the old
+ * dots, so they are dropped.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Number} dotCount The number of dots
+ * @param {Number} peopleCount The number of people
+ */
+function generatePoints(sim, dotCount, peopleCount) {
+    sim.people = generateFromDistribution(sim, peopleCount, 'people');
+    sim.dots = generateFromDistribution(sim, dotCount, 'dots');
+    sim.edits = createMeshEdits();
+    updateSimulation(sim);
+}
+
+/**
+ * Changes the number of dots and people, keeping the existing ones. Dots are removed from the
+ * end, together with the manual edits using them, and new people and dots are drawn from their
+ * distributions around the existing ones. Only a new number of dots triangulates again.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Number} dotCount The number of dots
+ * @param {Number} peopleCount The number of people
+ */
+function resizePopulation(sim, dotCount, peopleCount) {
+    const dotsChanged = dotCount !== sim.dots.length / 2;
+    for (let i = sim.dots.length / 2 - 1; i >= dotCount; i--) {
+        removeDotFromEdits(sim.edits, i);
+    }
+    ({ people: sim.people, dots: sim.dots } = resizePoints(sim.bounds, dotCount, peopleCount, sim.dots, sim.people,
+        (count, kind) => generateFromDistribution(sim, count, kind, sim[kind])));
+    updateSimulation(sim, dotsChanged);
+}
+
+/**
+ * Moves the people and dots out of the obstacles and back into the world. Displaced people
+ * go to a spawn zone if there is one, like newly arriving people.
+ * @param {Object} sim The simulation from createSimulation
+ * @returns {Number} The number of people that were moved
+ */
+function collide(sim) {
+    const createPersonPosition = () => getSpawnPosition(sim.zones, sim.obstacles, sim.bounds);
+    const result = updateCollisions(sim.obstacles, sim.people, sim.dots, sim.bounds, createPersonPosition);
+    sim.people = result.people;
+    sim.dots = result.dots;
+    return result.respawned.people;
+}
+
+/**
+ * Triangulates the scene and applies the manual edits again, keeping track of the edits
+ * the scene makes impossible.
+ * @param {Object} sim The simulation from createSimulation
+ * @returns {Number} How long the triangulation took, in milliseconds
+ */
+function triangulate(sim) {
+    const start = performance.now();
+    const result = triangulateWithEdits(sim.obstacles, sim.dots, sim.corners, sim.edits);
+    sim.triangle = result.triangle;
+    sim.brokenEdits = result.broken;
+    return performance.now() - start;
+}
+
+/**
+ * Brings the scene up to date after people, dots or obstacles moved: removes collisions,
+ * triangulates again if asked to, and notifies the subscribers.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {boolean} retriangulate Whether the mesh has to follow the dots and obstacles
+ */
+function updateSimulation(sim, retriangulate = true) {
+    const respawned = collide(sim);
+    const triangulationTime = retriangulate ? triangulate(sim) : 0;
+    notify(sim, retriangulate, { respawned, triangulationTime });
+}
+
+/**
+ * Sorts the triangles into density categories with the current density settings.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {String|null} [rampName=null] Optional: the color ramp of a heatmap, from color-ramp.js
+ * @returns {Object} The category, people count and density of every triangle, as returned by getTriangleDensity
+ */
+function getDensity(sim, rampName = null) {
+    const { threshold, metric, areaThreshold, metersPerUnit } = sim.density;
+    const areaDensity = metric === 'area' ? { threshold: areaThreshold, metersPerUnit } : null;
+    return getTriangleDensity(sim.triangle, sim.people, threshold, rampName, areaDensity);
+}
+
+/**
+ * Refines the dots until every triangle holds close to the density threshold. The manual
+ * edits refer to the old dots, so they are dropped.
+ * @param {Object} sim The simulation from createSimulation
+ * @returns {Object} The result of autoBalanceMesh, with the spread of people per triangle in its summary
+ */
+function balanceMesh(sim) {
+    const result = autoBalanceMesh(sim.obstacles, sim.dots, sim.corners, sim.people, sim.density.threshold);
+    sim.edits = createMeshEdits();
+    sim.dots = result.dots;
+    sim.triangle = result.triangle;
+    sim.brokenEdits = [];
+    // the balanced mesh is already triangulated, but it is a new mesh for the subscribers
+    notify(sim, true, { respawned: collide(sim), triangulationTime: 0 });
+    return result;
+}
+
+/**
+ * Gets the stable key of a mesh vertex, for the manual edits.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Number} index The vertex index in the mesh
+ * @returns {String} The vertex key
+ */
+function getKey(sim, index) {
+    return getVertexKey(index, sim.dots.length / 2, sim.obstacles);
+}
+
+/**
+ * Adds a triangle to the mesh by hand, if it keeps the mesh valid.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Array<Number>} tri The vertex indices of the triangle
+ * @returns {{reason: String, triangles: Array<Number>}|null} Why the triangle was rejected, or null if it was added
+ */
+function addUserTriangle(sim, tri) {
+    const problem = validateTriangle(sim.triangle, tri, sim.obstacles);
+    if (problem) {
+        return problem;
+    }
+    recordUserTriangle(sim.edits, tri.map(v => getKey(sim, v)));
+    sim.triangle.indices.push(...tri);
+    notify(sim, true);
+    return null;
+}
+
+/**
+ * Deletes an edge of the mesh, together with the triangles sharing it.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Array<Number>} edge The vertex indices of the edge
+ */
+function deleteMeshEdge(sim, edge) {
+    const [v1, v2] = edge;
+    recordForbiddenEdge(sim.edits, [getKey(sim, v1), getKey(sim, v2)]);
+    const newIndices = [];
+    // filter out any triangle that contains the selected edge
+    for (let i = 0; i < sim.triangle.indices.length; i += 3) {
+        const tri = sim.triangle.indices.slice(i, i + 3);
+        if (!(tri.includes(v1) && tri.includes(v2))) {
+            newIndices.push(...tri);
+        }
+    }
+    sim.triangle.indices = newIndices;
+    notify(sim, true);
+}
+
+/**
+ * Applies a local mesh edit from mesh-edit.js. Only dots are inserted or deleted, and they
+ * come first in the mesh vertices, so the dots are the start of the new vertices.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Object} result The result of the mesh edit
+ * @param {function(): void} recordEdit Records the edit in the manual edits, before the vertex indices change
+ * @returns {Object} The result of the mesh edit
+ */
+function applyMeshEdit(sim, result, recordEdit = () => { }) {
+    if (result.error) {
+        return result;
+    }
+    recordEdit();
+    const dotCount = sim.dots.length / 2 + (result.triangle.vertices.length - sim.triangle.vertices.length) / 2;
+    sim.triangle = result.triangle;
+    sim.dots = sim.triangle.vertices.slice(0, dotCount * 2);
+    notify(sim, true);
+    return result;
+}
+
+/**
+ * Flips an interior edge of the mesh and keeps the new edge as a manual edit.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Array<Number>} edge The vertex indices of the edge
+ * @returns {Object} The result of flipEdge, with an error if the edge cannot be flipped
+ */
+function flipMeshEdge(sim, edge) {
+    const result = flipEdge(sim.triangle, edge);
+    return applyMeshEdit(sim, result, () => {
+        recordForcedEdge(sim.edits, result.edge.map(v => getKey(sim, v)), edge.map(v => getKey(sim, v)));
+    });
+}
+
+/**
+ * Inserts a new dot into the triangle containing it.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Number} x The x-coordinate of the new dot
+ * @param {Number} y The y-coordinate of the new dot
+ * @returns {Object} The result of insertVertex, with an error if the dot cannot be inserted
+ */
+function insertDot(sim, x, y) {
+    return applyMeshEdit(sim, insertVertex(sim.triangle, sim.dots.length / 2, x, y, sim.obstacles));
+}
+
+/**
+ * Moves a dot together with its triangles, without triangulating again.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Number} dotIndex The index of the dot
+ * @param {Number} x The new x-coordinate
+ * @param {Number} y The new y-coordinate
+ * @returns {Object} The result of moveVertex, with an error if the dot cannot be moved there
+ */
+function moveDot(sim, dotIndex, x, y) {
+    return applyMeshEdit(sim, moveVertex(sim.triangle, dotIndex, x, y, sim.obstacles));
+}
+
+/**
+ * Deletes a dot and fills the hole it leaves.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Number} dotIndex The index of the dot
+ * @returns {Object} The result of deleteVertex, with an error if the hole cannot be filled
+ */
+function deleteDot(sim, dotIndex) {
+    return applyMeshEdit(sim, deleteVertex(sim.triangle, sim.dots.length / 2, dotIndex), () => {
+        removeDotFromEdits(sim.edits, dotIndex);
+    });
+}
+
+/**
+ * Forgets the manual edits and triangulates without them.
+ * @param {Object} sim The simulation from createSimulation
+ */
+function clearEdits(sim) {
+    sim.edits = createMeshEdits();
+    updateSimulation(sim);
+}
+
+/**
+ * Adds an obstacle and triangulates around it. The caller checks that it overlaps no other obstacle.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Object} obstacle The new obstacle
+ */
+function addObstacle(sim, obstacle) {
+    sim.obstacles.push(obstacle);
+    updateSimulation(sim);
+}
+
+/**
+ * Removes an obstacle, together with the manual edits using its vertices.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Number} index The index of the obstacle
+ */
+function removeObstacle(sim, index) {
+    removeObstacleFromEdits(sim.edits, index);
+    sim.obstacles.splice(index, 1);
+    updateSimulation(sim);
+}
+
+/**
+ * Adds a spawn or exit zone. Zones are not part of the mesh, so nothing is triangulated again.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Object} zone The new zone, from createZone
+ */
+function addZone(sim, zone) {
+    sim.zones.push(zone);
+    notify(sim, false);
+}
+
+/**
+ * Removes a spawn or exit zone.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Number} index The index of the zone
+ */
+function removeZone(sim, index) {
+    sim.zones.splice(index, 1);
+    notify(sim, false);
+}
+
+/**
+ * Lets the zones change the population for one time step: people inside an exit zone leave,
+ * then every spawn zone emits the people due. New people are added at the end. The subscribers
+ * are not notified, the caller brings the scene up to date together with its own changes.
+ * @param {Object} sim The simulation from createSimulation
+ * @param {Number} dt The time step in seconds
+ * @param {Number} [maxPeople=Infinity] The population spawn zones stop at
+ * @returns {{removed: Array<Number>, spawned: Number}} The indices the removed people had, in ascending
+ * order, so per-person state can be removed alongside, and the number of new people
+ */
+function stepZones(sim, dt, maxPeople = Infinity) {
+    const removed = findExitedPeople(sim.zones, sim.people);
+    sim.people = removeIndices(sim.people, removed, 2);
+    let spawned = 0;
+    sim.zones.filter(zone => zone.type === 'spawn').forEach(zone => {
+        const points = emitPeople(zone, dt, sim.obstacles, sim.bounds, Math.max(0, maxPeople - sim.people.length / 2));
+        sim.people = sim.people.concat(points);
+        spawned += points.length / 2;
+    });
+    return { removed, spawned };
+}
+
+export { createSimulation, subscribe, setBounds, generatePoints, resizePopulation, collide, triangulate, updateSimulation, getDensity, balanceMesh, addUserTriangle, deleteMeshEdge, flipMeshEdge, insertDot, moveDot, deleteDot, clearEdits, addObstacle, removeObstacle, addZone, removeZone, stepZones };
@@ -0,0 +1,119 @@
+/**
+ * Builds a uniform grid over the triangles of a triangulation, so that the triangle
+ * containing a point can be found by testing only the few triangles whose bounding box
+ * overlaps the point's grid cell. The grid is stored as two flat arrays (CSR layout), and
+ * the triangles of each cell are kept in ascending index order.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data
+ * @returns {{cellStart: Int32Array, items: Int32Array, cols: Number, rows: Number, minX: Number, minY: Number, cellWidth: Number, cellHeight: Number}} The grid
+ */
+function buildTriangleGrid(triangleData) {
+    const { vertices, indices } = triangleData;
+    const triangleCount = indices.length / 3;
+
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (let i = 0; i < indices.length; i++) {
+        const x = vertices[indices[i] * 2];
+        const y = vertices[indices[i] * 2 + 1];
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+    }
+    if (triangleCount === 0) {
+        minX = maxX = minY = maxY = 0;
+    }
+
+    // roughly one triangle per cell
+    const side = Math.max(1, Math.ceil(Math.sqrt(triangleCount)));
+    const cols = side;
+    const rows = side;
+    const cellWidth = (maxX - minX) / cols || 1;
+    const cellHeight = (maxY - minY) / rows || 1;
+    const cellX = (x) => Math.min(cols - 1, Math.max(0, Math.floor((x - minX) / cellWidth)));
+    const cellY = (y) => Math.min(rows - 1, Math.max(0, Math.floor((y - minY) / cellHeight)));
+
+    // the cell range covered by the bounding box of every triangle
+    const ranges = new Int32Array(triangleCount * 4);
+    const cellCounts = new Int32Array(cols * rows + 1);
+    for (let t = 0; t < triangleCount; t++) {
+        const xs = [vertices[indices[t * 3] * 2], vertices[indices[t * 3 + 1] * 2], vertices[indices[t * 3 + 2] * 2]];
+        const ys = [vertices[indices[t * 3] * 2 + 1], vertices[indices[t * 3 + 1] * 2 + 1], vertices[indices[t * 3 + 2] * 2 + 1]];
+        const x0 = cellX(Math.min(...xs)), x1 = cellX(Math.max(...xs));
+        const y0 = cellY(Math.min(...ys)), y1 = cellY(Math.max(...ys));
+        ranges.set([x0, x1, y0, y1], t * 4);
+        for (let gy = y0; gy <= y1; gy++) {
+            for (let gx = x0; gx <= x1; gx++) {
+                cellCounts[gy * cols + gx + 1]++;
+            }
+        }
+    }
+
+    const cellStart = new Int32Array(cols * rows + 1);
+    for (let c = 0; c < cols * rows; c++) {
+        cellStart[c + 1] = cellStart[c] + cellCounts[c + 1];
+    }
+    const fill = cellStart.slice(0, cols * rows);
+    const items = new Int32Array(cellStart[cols * rows]);
+    for (let t = 0; t < triangleCount; t++) {
+        for (let gy = ranges[t * 4 + 2]; gy <= ranges[t * 4 + 3]; gy++) {
+            for (let gx = ranges[t * 4]; gx <= ranges[t * 4 + 1]; gx++) {
+                items[fill[gy * cols + gx]++] = t;
+            }
+        }
+    }
+
+    return { cellStart, items, cols, rows, minX, minY, maxX, maxY, cellWidth, cellHeight };
+}
+
+/**
+ * Finds the triangle containing a point. A point on an edge shared by several triangles
+ * belongs to the one with the lowest index, so every point is assigned to exactly one triangle.
+ * @param {Object} grid The grid from buildTriangleGrid
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data the grid was built from
+ * @param {Number} x The x-coordinate of the point
+ * @param {Number} y The y-coordinate of the point
+ * @returns {Number} The triangle index, or -1 if the point is not inside any triangle
+ */
+function locatePointInGrid(grid, triangleData, x, y) {
+    if (x < grid.minX || x > grid.maxX || y < grid.minY || y > grid.maxY) {
+        return -1;
+    }
+    const { vertices, indices } = triangleData;
+    const gx = Math.min(grid.cols - 1, Math.floor((x - grid.minX) / grid.cellWidth));
+    const gy = Math.min(grid.rows - 1, Math.floor((y - grid.minY) / grid.cellHeight));
+    const cell = gy * grid.cols + gx;
+
+    for (let k = grid.cellStart[cell]; k < grid.cellStart[cell + 1]; k++) {
+        const t = grid.items[k];
+        const i1 = indices[t * 3] * 2;
+        const i2 = indices[t * 3 + 1] * 2;
+        const i3 = indices[t * 3 + 2] * 2;
+        const d1 = (x - vertices[i2]) * (vertices[i1 + 1] - vertices[i2 + 1]) - (vertices[i1] - vertices[i2]) * (y - vertices[i2 + 1]);
+        const d2 = (x - vertices[i3]) * (vertices[i2 + 1] - vertices[i3 + 1]) - (vertices[i2] - vertices[i3]) * (y - vertices[i3 + 1]);
+        const d3 = (x - vertices[i1]) * (vertices[i3 + 1] - vertices[i1 + 1]) - (vertices[i3] - vertices[i1]) * (y - vertices[i1 + 1]);
+        const hasNeg = (d1 < 0) || (d2 < 0) || (d3 < 0);
+        const hasPos = (d1 > 0) || (d2 > 0) || (d3 > 0);
+        // a degenerate (zero area) triangle would contain every point on its line, so skip it
+        if (!(hasNeg && hasPos) && (d1 !== 0 || d2 !== 0 || d3 !== 0)) {
+            return t;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Assigns every person to the single triangle containing it.
+ * @param {{vertices: Array<Number>, indices: Array<Number>}} triangleData The triangulation data
+ * @param {Array<Number>} people A flat array of people positions [x1, y1, x2, y2, ...]
+ * @param {Object} [grid] A grid from buildTriangleGrid, built on the fly if not given
+ * @returns {Int32Array} The triangle index of every person, -1 for people outside the mesh
+ */
+function assignPointsToTriangles(triangleData, people, grid = buildTriangleGrid(triangleData)) {
+    const assignment = new Int32Array(people.length / 2);
+    for (let i = 0; i < assignment.length; i++) {
+        assignment[i] = locatePointInGrid(grid, triangleData, people[i * 2], people[i * 2 + 1]);
+    }
+    return assignment;
+}
+
+export { buildTriangleGrid, locatePointInGrid, assignPointsToTriangles };
\ No newline at end of file
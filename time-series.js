@@ -0,0 +1,73 @@
+/**
+ * Recording of per-frame density metrics, so runs with different obstacle placements can be
+ * compared. Every sample is one rendered frame.
+ */
+
+/**
+ * The recorded metrics, in CSV column order after the time.
+ */
+const METRICS = [
+    { key: 'overpopulated', label: "Overpopulated triangles" },
+    { key: 'maxDensity', label: "Max density" },
+    { key: 'respawned', label: "People respawned by collisions" },
+    { key: 'triangulationTime', label: "Triangulation time (ms)" },
+];
+
+/**
+ * The number of samples kept by default, older samples are dropped. About ten minutes at 60 frames per second.
+ */
+const RECORDING_LIMIT = 36000;
+
+/**
+ * Creates an empty recording. The samples are kept in a ring buffer: once it is full, every
+ * new sample overwrites the oldest one at the head, so a frame never moves the other samples.
+ * @param {Number} limit The largest number of samples kept
+ * @returns {{samples: Array<Object>, head: Number, count: Number, limit: Number}} The recording, with the index of
+ * the oldest sample and the number of samples
+ */
+function createRecording(limit = RECORDING_LIMIT) {
+    return { samples: [], head: 0, count: 0, limit };
+}
+
+/**
+ * Adds the metrics of one frame.
+ * @param {Object} recording The recording from createRecording
+ * @param {{time: Number, overpopulated: Number, maxDensity: Number, respawned: Number, triangulationTime: Number}} sample
+ * The metrics, with the time in seconds since the recording started
+ */
+function recordSample(recording, sample) {
+    if (recording.count < recording.limit) {
+        recording.samples.push(sample);
+        recording.count++;
+    } else {
+        recording.samples[recording.head] = sample;
+        recording.head = (recording.head + 1) % recording.limit;
+    }
+}
+
+/**
+ * Gets the latest samples, oldest first.
+ * @param {Object} recording The recording from createRecording
+ * @param {Number} [count] The number of samples, all of them by default
+ * @returns {Array<Object>} The samples
+ */
+function getLatestSamples(recording, count = recording.count) {
+    const latest = [];
+    for (let i = recording.count - Math.min(count, recording.count); i < recording.count; i++) {
+        latest.push(recording.samples[(recording.head + i) % recording.samples.length]);
+    }
+    return latest;
+}
+
+/**
+ * Writes the recording as CSV, one row per frame.
+ * @param {Object} recording The recording from createRecording
+ * @returns {String} The CSV document, with a header row
+ */
+function recordingToCSV(recording) {
+    const header = ["time (s)", ...METRICS.map(metric => metric.label)];
+    const rows = getLatestSamples(recording).map(sample => [sample.time, ...METRICS.map(metric => sample[metric.key])]);
+    return [header, ...rows].map(row => row.join(",")).join("\n") + "\n";
+}
+
+export { METRICS, RECORDING_LIMIT, createRecording, recordSample, getLatestSamples, recordingToCSV };
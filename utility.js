@@ -1,3 +1,5 @@
+import { getObstacleCorners } from "./math.js";
+
 /**
  * Utility functions for handling keyboard events and object movements.
  * @param {Object} keyboardEvents The object containing the keyboard events
@@ -42,9 +44,6 @@ function calculateMovements(keyboardEvents, object, maxX, minX, maxY, minY, minS
 
     clamp(object, maxX, minX, maxY, minY, minScale, maxScale);
 
-    object.p1 = [object.x - (object.length * object.scale) / 2, object.y - (object.width * object.scale) / 2];
-    object.p3 = [object.x + (object.length * object.scale) / 2, object.y + (object.width * object.scale) / 2];
-
     return movement;
 }
 
@@ -80,30 +79,10 @@ function clamp(object, maxX, minX, maxY, minY, minScale, maxScale) {
 
     if (object.scale < minScale) object.scale = minScale;
     if (object.scale > maxScale) object.scale = maxScale;
-    if (object.rotation >= 90) object.rotation = 0;
-    if (object.rotation < -90) object.rotation = 0;
-
-    const halfLength = (object.length * object.scale) / 2;
-    const halfWidth = (object.width * object.scale) / 2;
-    const angleRad = object.rotation * Math.PI / 180;
-    const cosAngle = Math.cos(angleRad);
-    const sinAngle = Math.sin(angleRad);
+    // any angle is allowed, it is only kept in [-180, 180)
+    object.rotation = ((object.rotation + 180) % 360 + 360) % 360 - 180;
 
-    const localCorners = [
-        { x: -halfLength, y: -halfWidth },
-        { x: halfLength, y: -halfWidth },
-        { x: halfLength, y: halfWidth },
-        { x: -halfLength, y: halfWidth },
-    ];
-
-    const worldCorners = localCorners.map(p => {
-        const rotatedX = p.x * cosAngle - p.y * sinAngle;
-        const rotatedY = p.x * sinAngle + p.y * cosAngle;
-        return {
-            x: rotatedX + object.x,
-            y: rotatedY + object.y,
-        };
-    });
+    const worldCorners = getObstacleCorners(object).map(p => ({ x: p[0], y: p[1] }));
 
     // find the min/max extents of the rotated object (its new AABB)
     let rotMinX = Infinity, rotMaxX = -Infinity, rotMinY = Infinity, rotMaxY = -Infinity;
@@ -121,4 +100,4 @@ function clamp(object, maxX, minX, maxY, minY, minScale, maxScale) {
     if (rotMinY < minY) object.y += (minY - rotMinY);
 }
 
-export { calculateMovements, getTransformMatrix };
\ No newline at end of file
+export { calculateMovements, getTransformMatrix, clamp };
\ No newline at end of file
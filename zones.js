@@ -0,0 +1,137 @@
+import { getObstacleCorners, createRectangleShape, isPointInPolygon, isPointInAnyObstacle } from "./math.js";
+import { random } from "./random.js";
+
+/**
+ * Spawn and exit zones, for a crowd that flows through the space instead of a fixed number
+ * of people. A zone is placed like an obstacle, a local shape with a position, scale and
+ * rotation, so it is picked, transformed and clamped with the same functions. Spawn zones
+ * emit people at a rate, exit zones remove the people who reach them.
+ */
+
+const ZONE_TYPES = ['spawn', 'exit'];
+const DEFAULT_SPAWN_RATE = 5; // in people per second
+const MAX_SPAWN_ATTEMPTS = 20; // random spots tried per person before the zone gives up for this step
+
+/**
+ * Creates a square zone.
+ * @param {'spawn'|'exit'} type Whether the zone emits or removes people
+ * @param {Number} x The x-coordinate of the centre
+ * @param {Number} y The y-coordinate of the centre
+ * @param {Number} scale The scale of the 100 by 100 local square
+ * @param {Number} [rate=DEFAULT_SPAWN_RATE] The people emitted per second, only used by spawn zones
+ * @returns {{type: String, x: Number, y: Number, scale: Number, rotation: Number, shape: Array<Array<Number>>, rate: Number, pending: Number}}
+ * The zone, with the fraction of a person it owes from earlier steps
+ */
+function createZone(type, x, y, scale, rate = DEFAULT_SPAWN_RATE) {
+    return { type, x, y, scale, rotation: 0, shape: createRectangleShape(100, 100), rate, pending: 0 };
+}
+
+/**
+ * Picks a random spot inside a zone, outside of every obstacle and inside the world.
+ * @param {Object} zone The zone
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @returns {{x: Number, y: Number}|null} The spot, or null if none was found
+ */
+function getRandomPointInZone(zone, obstacles, bounds) {
+    const polygon = getObstacleCorners(zone);
+    const xs = polygon.map(p => p[0]);
+    const ys = polygon.map(p => p[1]);
+    const minX = Math.max(bounds.minX, Math.min(...xs));
+    const maxX = Math.min(bounds.maxX, Math.max(...xs));
+    const minY = Math.max(bounds.minY, Math.min(...ys));
+    const maxY = Math.min(bounds.maxY, Math.max(...ys));
+    for (let attempt = 0; attempt < MAX_SPAWN_ATTEMPTS; attempt++) {
+        const x = random() * (maxX - minX) + minX;
+        const y = random() * (maxY - minY) + minY;
+        if (isPointInPolygon(x, y, polygon) && !isPointInAnyObstacle(obstacles, x, y)) {
+            return { x, y };
+        }
+    }
+    return null;
+}
+
+/**
+ * Picks a random spot inside a random spawn zone, for a person that has to be placed again.
+ * @param {Array<Object>} zones The list of zones
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @returns {{x: Number, y: Number}|null} The spot, or null if there is no spawn zone or no free spot was found
+ */
+function getSpawnPosition(zones, obstacles, bounds) {
+    const spawnZones = zones.filter(zone => zone.type === 'spawn');
+    if (spawnZones.length === 0) {
+        return null;
+    }
+    return getRandomPointInZone(spawnZones[Math.floor(random() * spawnZones.length)], obstacles, bounds);
+}
+
+/**
+ * Lets a spawn zone emit the people due in a time step. Fractions of a person are carried
+ * over to the next step, so low rates still emit people.
+ * @param {Object} zone The spawn zone, its pending fraction is changed in place
+ * @param {Number} dt The time step in seconds
+ * @param {Array<Object>} obstacles The list of obstacles
+ * @param {{maxX: Number, minX: Number, maxY: Number, minY: Number}} bounds The world bounds
+ * @param {Number} [limit=Infinity] The largest number of people to emit, people above it are dropped
+ * @returns {Array<Number>} The positions of the new people [x1, y1, x2, y2, ...]
+ */
+function emitPeople(zone, dt, obstacles, bounds, limit = Infinity) {
+    zone.pending += zone.rate * dt;
+    const due = Math.floor(zone.pending);
+    zone.pending -= due;
+    const points = [];
+    for (let i = 0; i < Math.min(due, limit); i++) {
+        const point = getRandomPointInZone(zone, obstacles, bounds);
+        if (point) {
+            points.push(point.x, point.y);
+        }
+    }
+    return points;
+}
+
+/**
+ * Finds the people inside the exit zones.
+ * @param {Array<Object>} zones The list of zones
+ * @param {Array<Number>} people The array of people positions [x1, y1, x2, y2, ...]
+ * @returns {Array<Number>} The indices of the people, in ascending order
+ */
+function findExitedPeople(zones, people) {
+    const exits = zones.filter(zone => zone.type === 'exit').map(zone => getObstacleCorners(zone));
+    const exited = [];
+    if (exits.length === 0) {
+        return exited;
+    }
+    for (let i = 0; i < people.length / 2; i++) {
+        if (exits.some(polygon => isPointInPolygon(people[i * 2], people[i * 2 + 1], polygon))) {
+            exited.push(i);
+        }
+    }
+    return exited;
+}
+
+/**
+ * Removes entries from an array that holds a fixed number of values per person.
+ * @param {Array<*>} values The array, for example the people positions with 2 values per person
+ * @param {Array<Number>} indices The indices of the people to remove, in ascending order
+ * @param {Number} [stride=1] The number of values per person
+ * @returns {Array<*>} A new array without the removed people
+ */
+function removeIndices(values, indices, stride = 1) {
+    if (indices.length === 0) {
+        return values;
+    }
+    const removed = new Set(indices);
+    return values.filter((_, i) => !removed.has(Math.floor(i / stride)));
+}
+
+/**
+ * Gets the centres of the exit zones, so people can be sent to them like to goals.
+ * @param {Array<Object>} zones The list of zones
+ * @returns {Array<Number>} The centres [x1, y1, x2, y2, ...]
+ */
+function getExitTargets(zones) {
+    return zones.filter(zone => zone.type === 'exit').flatMap(zone => [zone.x, zone.y]);
+}
+
+export { ZONE_TYPES, DEFAULT_SPAWN_RATE, createZone, getSpawnPosition, emitPeople, findExitedPeople, removeIndices, getExitTargets };